@@ -1,53 +1,570 @@
 /**
  * AI API 客户端模块
+ * 支持 OpenAI 兼容接口（/chat/completions）和 Anthropic Messages API（/messages）
  */
 
+import { stripImages, resolveImageRefs } from './image.js';
+import { mockFetch } from './mock.js';
+
+const DEFAULT_ANTHROPIC_VERSION = '2023-06-01';
+// 单次请求的默认空闲超时：等待响应（非流式时即整个生成过程）或两段流式数据之间最多等待的时间
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// 默认重试策略
+const DEFAULT_RETRY = {
+    maxRetries: 2,
+    baseDelay: 1000,
+    maxDelay: 10000,
+    maxRetryAfter: 30000
+};
+
+/**
+ * 各接口格式的适配器
+ * 内部统一使用 OpenAI 格式的消息（含 tool_calls / tool 消息），由适配器转换为各接口格式
+ * buildRequest: 构建请求 { url, headers, body }，options.tools 为工具定义 [{ name, description, parameters }]
+ * parseResponse: 从非流式响应中取出 { content, toolCalls: [{ id, name, arguments }] }
+ * parseStreamEvent: 从一条 SSE 数据中取出增量文本
+ * parseUsage: 从响应或 SSE 数据中取出 token 用量 { promptTokens, completionTokens }（可能只有其中一项）
+ * fetch（可选）: 代替全局 fetch 发送请求 (profile, init) => Promise<Response>
+ */
+const providers = {
+    openai: {
+        buildRequest(config, messages, stream, options = {}) {
+            const headers = {
+                'Content-Type': 'application/json'
+            };
+
+            if (config.apiKey) {
+                headers['Authorization'] = `Bearer ${config.apiKey}`;
+            }
+
+            const body = {
+                model: config.model,
+                messages,
+                max_tokens: config.maxTokens,
+                temperature: config.temperature,
+                stream,
+                // 流式响应默认不含用量，需要显式请求（可通过 streamUsage: false 关闭以兼容不支持的接口）
+                ...(stream && config.streamUsage !== false ? { stream_options: { include_usage: true } } : {})
+            };
+
+            if (options.tools?.length) {
+                body.tools = options.tools.map(tool => ({
+                    type: 'function',
+                    function: {
+                        name: tool.name,
+                        description: tool.description,
+                        parameters: tool.parameters
+                    }
+                }));
+                if (options.toolChoice) {
+                    body.tool_choice = options.toolChoice;
+                }
+            }
+
+            return {
+                url: config.baseUrl ? `${config.baseUrl}/chat/completions` : config.apiUrl,
+                headers,
+                body
+            };
+        },
+
+        parseResponse(data) {
+            const choice = data.choices[0];
+            if (choice.finish_reason === 'content_filter' && !choice.message?.content) {
+                throw new AIError('AI 回复被内容过滤拦截', { type: 'content_filtered' });
+            }
+            return {
+                content: choice.message.content || '',
+                toolCalls: (choice.message.tool_calls || []).map(call => ({
+                    id: call.id,
+                    name: call.function.name,
+                    arguments: parseToolArguments(call.function.arguments)
+                }))
+            };
+        },
+
+        parseStreamEvent(data) {
+            return data.choices?.[0]?.delta?.content || '';
+        },
+
+        parseUsage(data) {
+            if (!data.usage) return null;
+            return {
+                promptTokens: data.usage.prompt_tokens,
+                completionTokens: data.usage.completion_tokens
+            };
+        }
+    },
+
+    anthropic: {
+        buildRequest(config, messages, stream, options = {}) {
+            const headers = {
+                'Content-Type': 'application/json',
+                'anthropic-version': config.anthropicVersion || DEFAULT_ANTHROPIC_VERSION
+            };
+
+            if (config.apiKey) {
+                headers['x-api-key'] = config.apiKey;
+            }
+
+            const { system, messages: turns } = toAnthropicMessages(messages);
+            const body = {
+                model: config.model,
+                messages: turns,
+                // Messages API 要求必须提供 max_tokens
+                max_tokens: config.maxTokens || 4096,
+                temperature: config.temperature,
+                stream
+            };
+            if (system) {
+                body.system = system;
+            }
+
+            if (options.tools?.length) {
+                body.tools = options.tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    input_schema: tool.parameters
+                }));
+                if (options.toolChoice) {
+                    body.tool_choice = { type: options.toolChoice };
+                }
+            }
+
+            return {
+                url: config.baseUrl ? `${config.baseUrl}/messages` : config.apiUrl,
+                headers,
+                body
+            };
+        },
+
+        parseResponse(data) {
+            if (data.stop_reason === 'refusal') {
+                throw new AIError('AI 拒绝回复 (refusal)', { type: 'content_filtered' });
+            }
+            const blocks = data.content || [];
+            return {
+                content: blocks
+                    .filter(block => block.type === 'text')
+                    .map(block => block.text)
+                    .join(''),
+                toolCalls: blocks
+                    .filter(block => block.type === 'tool_use')
+                    .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+            };
+        },
+
+        parseStreamEvent(data) {
+            if (data.type === 'error') {
+                const message = `AI API 错误: ${data.error?.type} - ${data.error?.message}`;
+                throw new AIError(message, { type: classifyError(0, message) });
+            }
+            if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+                return data.delta.text;
+            }
+            return '';
+        },
+
+        parseUsage(data) {
+            // 非流式响应和 message_delta 事件带 usage，message_start 事件带 message.usage
+            const usage = data.usage || data.message?.usage;
+            if (!usage) return null;
+            return {
+                promptTokens: usage.input_tokens,
+                completionTokens: usage.output_tokens
+            };
+        }
+    }
+};
+
+// 模拟接口：请求和响应均为 OpenAI 格式，由 mock.js 在本地生成响应
+providers.mock = {
+    ...providers.openai,
+
+    buildRequest(config, messages, stream, options = {}) {
+        return { ...providers.openai.buildRequest(config, messages, stream, options), url: 'mock://' };
+    },
+
+    fetch(profile, init) {
+        return mockFetch(profile.mock, init);
+    }
+};
+
+/**
+ * AI 调用错误
+ * code: 'http' | 'timeout' | 'network'
+ * type: 错误分类，见 classifyError
+ */
+export class AIError extends Error {
+    constructor(message, { status = 0, code = 'http', type = 'unknown', profile = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'AIError';
+        this.status = status;
+        this.code = code;
+        this.type = type;
+        this.profile = profile;
+        // 服务端要求的重试等待时间（毫秒），来自 Retry-After 响应头
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * 根据 HTTP 状态码和错误内容对错误分类
+ * @param {number} status - HTTP 状态码（流式错误事件为 0）
+ * @param {string} body - 错误响应内容
+ * @returns {string} 'auth' | 'quota' | 'content_filtered' | 'context_too_long' | 'transient' | 'unknown'
+ */
+export function classifyError(status, body = '') {
+    const text = String(body).toLowerCase();
+
+    if (/context_length|context length|context window|maximum context|prompt is too long|too many tokens/.test(text)) {
+        return 'context_too_long';
+    }
+    if (/content_filter|content_policy|content management|safety|moderation|flagged/.test(text)) {
+        return 'content_filtered';
+    }
+    if (status === 402 || /insufficient_quota|quota|billing|credit balance/.test(text)) {
+        return 'quota';
+    }
+    if (status === 401 || status === 403 || /invalid_api_key|invalid x-api-key|authentication_error|permission_error/.test(text)) {
+        return 'auth';
+    }
+    if (status === 408 || status === 429 || status >= 500 || /overloaded|rate_limit|rate limit/.test(text)) {
+        return 'transient';
+    }
+    return 'unknown';
+}
+
 export class AIClient {
-    constructor(config) {
+    constructor(config, logger) {
         this.config = config;
+        this.logger = logger;
+        // 各配置的健康状态：Map<profileName, health>
+        this.health = new Map();
+    }
+
+    /**
+     * 调用 AI API（按配置链依次尝试）
+     * @param {Array} messages - 消息数组
+     * @param {Object} options - 可选参数
+     * @param {Function} options.onUsage - 收到 token 用量时的回调 ({ profile, model, promptTokens, completionTokens }) => void
+     * @param {AbortSignal} options.signal - 取消信号，触发后抛出 type 为 cancelled 的 AIError（或 signal.reason 中的 AIError）
+     * @param {string} options.profile - 只使用指定名称的配置（不切换），用于测试
+     * @returns {Promise<string>} 回复文本
+     */
+    async chat(messages, options = {}) {
+        const { content } = await this.complete(messages, options);
+        return content;
+    }
+
+    /**
+     * 调用 AI API 并返回完整结果（包括工具调用）
+     * @param {Array} messages - 消息数组
+     * @param {Object} options - 可选参数，同 chat，另外支持：
+     * @param {Array} options.tools - 可用工具定义 [{ name, description, parameters }]
+     * @param {string} options.toolChoice - 'auto' | 'none'
+     * @returns {Promise<{content: string, toolCalls: Array}>}
+     */
+    async complete(messages, options = {}) {
+        return this._withFailover(async (profile) => {
+            const provider = getProvider(profile);
+            const idle = createIdleTimeout(profile.timeout || DEFAULT_TIMEOUT_MS);
+            try {
+                const response = await this._post(profile, messages, false, options, idle.signal);
+                // 收到响应头后重新计时读取响应体
+                idle.reset();
+                const data = await response.json();
+                const result = provider.parseResponse(data);
+                this._reportUsage(profile, provider.parseUsage(data), options);
+                return result;
+            } finally {
+                idle.clear();
+            }
+        }, { signal: options.signal, profile: options.profile });
     }
 
     /**
-     * 调用 AI API
+     * 流式调用 AI API（SSE）
+     * 已经输出过内容后不再切换配置，避免重复发送
+     * 超时按空闲时间计算：每收到一段数据重新计时，不限制整个回复的时长
      * @param {Array} messages - 消息数组
+     * @param {Function} onText - 收到增量文本时的回调 (delta) => void
+     * @param {Object} options - 可选参数，同 chat
+     * @returns {Promise<string>} 完整回复文本
+     */
+    async chatStream(messages, onText, options = {}) {
+        let emitted = false;
+
+        return this._withFailover(async (profile) => {
+            const provider = getProvider(profile);
+            const idle = createIdleTimeout(profile.timeout || DEFAULT_TIMEOUT_MS);
+            try {
+                const response = await this._post(profile, messages, true, options, idle.signal);
+                let content = '';
+                let usage = null;
+
+                for await (const data of readSSE(response.body, idle.reset)) {
+                    const delta = provider.parseStreamEvent(data);
+                    if (delta) {
+                        content += delta;
+                        emitted = true;
+                        onText(delta);
+                    }
+
+                    // 用量可能分散在多个事件中，逐项合并
+                    const partial = provider.parseUsage(data);
+                    if (partial) {
+                        usage = { ...usage };
+                        for (const [key, value] of Object.entries(partial)) {
+                            if (value !== undefined) usage[key] = value;
+                        }
+                    }
+                }
+
+                this._reportUsage(profile, usage, options);
+                return content;
+            } finally {
+                idle.clear();
+            }
+        }, { canRetry: () => !emitted, signal: options.signal, profile: options.profile });
+    }
+
+    /**
+     * 回调本次请求的 token 用量
      */
-    async chat(messages) {
-        const headers = {
-            'Content-Type': 'application/json'
+    _reportUsage(profile, usage, options) {
+        if (!usage || !options.onUsage) return;
+
+        try {
+            options.onUsage({
+                profile: profile.name,
+                model: profile.model,
+                promptTokens: usage.promptTokens || 0,
+                completionTokens: usage.completionTokens || 0
+            });
+        } catch (error) {
+            this.logger?.warn(`记录 token 用量失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取按配置链排序的配置列表
+     * 未配置 profiles 时，将 ai 配置本身视为名为 default 的单一配置
+     * @returns {Array<Object>} 配置数组（包含 name 字段）
+     */
+    getProfiles() {
+        const profiles = this.config.profiles;
+        if (!profiles || Object.keys(profiles).length === 0) {
+            return [{ ...this.config, name: 'default' }];
+        }
+
+        const chain = this.config.chain?.length ? this.config.chain : Object.keys(profiles);
+        return chain
+            .filter(name => profiles[name])
+            .map(name => ({
+                // 未单独设置的参数沿用 ai 配置中的默认值
+                maxTokens: this.config.maxTokens,
+                temperature: this.config.temperature,
+                ...profiles[name],
+                name
+            }));
+    }
+
+    /**
+     * 按名称获取配置（不要求在配置链中）
+     * 未定义名为 mock 的配置时，返回使用默认设置的模拟接口
+     * @param {string} name - 配置名
+     */
+    getProfile(name) {
+        const profiles = this.config.profiles && Object.keys(this.config.profiles).length > 0
+            ? this.config.profiles
+            : { default: this.config };
+
+        if (profiles[name]) {
+            return {
+                maxTokens: this.config.maxTokens,
+                temperature: this.config.temperature,
+                ...profiles[name],
+                name
+            };
+        }
+        if (name === 'mock') {
+            return { name: 'mock', provider: 'mock', model: 'mock', maxTokens: this.config.maxTokens };
+        }
+        throw new Error(`AI 配置不存在: ${name}`);
+    }
+
+    /**
+     * 获取所有配置及其健康状态（隐藏 API Key）
+     */
+    getProfileStatus() {
+        const chain = this.getProfiles().map(p => p.name);
+        const all = this.config.profiles && Object.keys(this.config.profiles).length > 0
+            ? Object.entries(this.config.profiles).map(([name, p]) => ({ ...p, name }))
+            : this.getProfiles();
+
+        return {
+            chain,
+            profiles: all.map(p => ({
+                name: p.name,
+                provider: p.provider || 'openai',
+                baseUrl: p.baseUrl || p.apiUrl || '',
+                model: p.model,
+                vision: p.vision === true,
+                inChain: chain.includes(p.name),
+                health: this.health.get(p.name) || { status: 'unknown', successes: 0, failures: 0 }
+            }))
         };
+    }
+
+    /**
+     * 依次尝试配置链中的每个配置
+     * 临时性错误（429、5xx、网络错误）先在当前配置上按指数退避重试；
+     * 仍然失败，或遇到超时、限流、服务端错误时切换到下一个配置，其他错误直接抛出
+     * 取消信号触发后立即停止，不再重试或切换
+     * @param {Function} attempt - (profile) => Promise<any>
+     * @param {Object} options
+     * @param {Function} options.canRetry - 是否仍允许重试或切换配置
+     * @param {AbortSignal} options.signal - 取消信号
+     * @param {string} options.profile - 只使用指定名称的配置
+     */
+    async _withFailover(attempt, { canRetry = () => true, signal = null, profile: profileName = null } = {}) {
+        const profiles = profileName ? [this.getProfile(profileName)] : this.getProfiles();
+        if (profiles.length === 0) {
+            throw new Error('AI 配置链为空，请检查 ai.chain 配置');
+        }
+
+        for (let i = 0; i < profiles.length; i++) {
+            const profile = profiles[i];
+
+            for (let retries = 0; ; retries++) {
+                const startTime = Date.now();
+
+                try {
+                    const result = await attempt(profile);
+                    const latency = Date.now() - startTime;
+                    this._recordHealth(profile.name, null, latency);
+                    this.logger?.info(`AI 配置 [${profile.name}] 已响应 (${latency}ms)`);
+                    return result;
+                } catch (rawError) {
+                    if (signal?.aborted) {
+                        throw getAbortError(signal);
+                    }
+
+                    const error = toAIError(rawError, profile.name);
+                    this._recordHealth(profile.name, error);
 
-        if (this.config.apiKey) {
-            headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+                    if (!canRetry()) {
+                        throw error;
+                    }
+
+                    const delay = this._getRetryDelay(error, retries);
+                    if (delay !== null) {
+                        this.logger?.warn(`AI 配置 [${profile.name}] 请求失败，${delay}ms 后重试 (${retries + 1}): ${error.message}`);
+                        await sleep(delay, signal);
+                        continue;
+                    }
+
+                    const hasNext = i < profiles.length - 1;
+                    if (!hasNext || !isFailoverError(error)) {
+                        throw error;
+                    }
+                    this.logger?.warn(`AI 配置 [${profile.name}] 失败，切换到 [${profiles[i + 1].name}]: ${error.message}`);
+                    break;
+                }
+            }
         }
+    }
+
+    /**
+     * 计算重试等待时间（指数退避 + 随机抖动，优先遵循 Retry-After）
+     * @param {AIError} error - 本次错误
+     * @param {number} retries - 已重试次数
+     * @returns {number|null} 等待毫秒数，不应重试时返回 null
+     */
+    _getRetryDelay(error, retries) {
+        const retry = this.config.retry || {};
+        const maxRetries = retry.maxRetries ?? DEFAULT_RETRY.maxRetries;
+        const baseDelay = retry.baseDelay ?? DEFAULT_RETRY.baseDelay;
+        const maxDelay = retry.maxDelay ?? DEFAULT_RETRY.maxDelay;
+        const maxRetryAfter = retry.maxRetryAfter ?? DEFAULT_RETRY.maxRetryAfter;
+
+        if (!(error instanceof AIError) || error.type !== 'transient' || retries >= maxRetries) {
+            return null;
+        }
+
+        const backoff = Math.min(maxDelay, baseDelay * 2 ** retries);
+        const delay = Math.round(backoff * (0.5 + Math.random() * 0.5));
+
+        if (error.retryAfter !== null) {
+            // 服务端要求等待太久时不再重试，交给下一个配置
+            if (error.retryAfter > maxRetryAfter) {
+                return null;
+            }
+            return Math.max(delay, error.retryAfter);
+        }
+
+        return delay;
+    }
+
+    /**
+     * 记录配置的调用结果
+     */
+    _recordHealth(name, error, latency = 0) {
+        const health = this.health.get(name) || { status: 'unknown', successes: 0, failures: 0 };
+
+        if (error) {
+            health.status = 'error';
+            health.failures++;
+            health.lastError = error.message.substring(0, 200);
+            health.lastFailureAt = Date.now();
+        } else {
+            health.status = 'ok';
+            health.successes++;
+            health.lastLatency = latency;
+            health.lastSuccessAt = Date.now();
+        }
+
+        this.health.set(name, health);
+    }
+
+    /**
+     * 发送请求，返回已确认成功的响应
+     * 未设置 vision: true 的配置会把消息中的图片替换为占位文本
+     * @param {AbortSignal} timeoutSignal - 本次请求的超时信号（createIdleTimeout）
+     */
+    async _post(profile, messages, stream, options = {}, timeoutSignal) {
+        const payload = profile.vision ? await resolveImageRefs(messages) : stripImages(messages);
+        const provider = getProvider(profile);
+        const { url, headers, body } = provider.buildRequest(profile, payload, stream, options);
 
         // 支持 baseUrl 或 apiUrl 配置
-        const apiUrl = this.config.baseUrl 
-            ? `${this.config.baseUrl}/chat/completions`
-            : this.config.apiUrl;
-        
-        if (!apiUrl) {
-            throw new Error('未配置 AI API URL (baseUrl 或 apiUrl)');
+        if (!url) {
+            throw new Error(`AI 配置 [${profile.name}] 未配置 API URL (baseUrl 或 apiUrl)`);
         }
 
-        const response = await fetch(apiUrl, {
+        const init = {
             method: 'POST',
             headers,
-            body: JSON.stringify({
-                model: this.config.model,
-                messages,
-                max_tokens: this.config.maxTokens,
-                temperature: this.config.temperature,
-                stream: false
-            })
-        });
+            body: JSON.stringify(body),
+            signal: options.signal ? AbortSignal.any([options.signal, timeoutSignal]) : timeoutSignal
+        };
+        const response = provider.fetch
+            ? await provider.fetch(profile, init)
+            : await fetch(url, init);
 
         if (!response.ok) {
             const errorText = await response.text();
-            throw new Error(`AI API 错误: ${response.status} - ${errorText}`);
+            throw new AIError(`AI API 错误: ${response.status} - ${errorText}`, {
+                status: response.status,
+                type: classifyError(response.status, errorText),
+                profile: profile.name,
+                retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+            });
         }
 
-        const data = await response.json();
-        return data.choices[0].message.content;
+        return response;
     }
 
     /**
@@ -57,3 +574,257 @@ export class AIClient {
         Object.assign(this.config, newConfig);
     }
 }
+
+/**
+ * 获取配置对应的接口适配器（provider 未配置时默认为 openai）
+ */
+function getProvider(profile) {
+    const name = profile.provider || 'openai';
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`不支持的 AI 接口类型: ${name}`);
+    }
+    return provider;
+}
+
+/**
+ * 空闲超时：超过 ms 毫秒没有收到数据时中止请求，收到数据后调用 reset 重新计时
+ * @param {number} ms - 超时毫秒数
+ * @returns {{ signal: AbortSignal, reset: Function, clear: Function }}
+ */
+function createIdleTimeout(ms) {
+    const controller = new AbortController();
+    let timer = null;
+    const reset = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(new DOMException('请求超时', 'TimeoutError')), ms);
+    };
+    reset();
+    return { signal: controller.signal, reset, clear: () => clearTimeout(timer) };
+}
+
+/**
+ * 将 fetch 抛出的超时、网络错误统一转换为 AIError
+ */
+function toAIError(error, profileName) {
+    if (error instanceof AIError) {
+        return error;
+    }
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        return new AIError(`AI 请求超时 [${profileName}]`, { code: 'timeout', type: 'timeout', profile: profileName });
+    }
+    if (error instanceof TypeError && (error.message === 'fetch failed' || error.message === 'terminated')) {
+        // fetch 在 DNS 失败、连接被拒、连接中断等情况下抛出 TypeError
+        const cause = error.cause?.message ? ` (${error.cause.message})` : '';
+        return new AIError(`AI 网络错误: ${error.message}${cause}`, { code: 'network', type: 'transient', profile: profileName });
+    }
+    return error;
+}
+
+/**
+ * 取消信号触发后抛出的错误：优先使用 signal.reason 中的 AIError（如整体超时），否则视为被手动取消
+ */
+function getAbortError(signal) {
+    if (signal.reason instanceof AIError) {
+        return signal.reason;
+    }
+    return new AIError('AI 请求已取消', { code: 'cancelled', type: 'cancelled' });
+}
+
+/**
+ * 可被取消的等待
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(getAbortError(signal));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(getAbortError(signal));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+ * @returns {number|null} 毫秒数
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 判断错误是否应切换到下一个配置
+ */
+function isFailoverError(error) {
+    if (!(error instanceof AIError)) {
+        return false;
+    }
+    return error.code === 'timeout'
+        || error.code === 'network'
+        || error.status === 429
+        || error.status >= 500;
+}
+
+/**
+ * 将 OpenAI 格式的消息数组转换为 Anthropic Messages API 格式
+ * - 开头连续的 system 消息提取到顶层 system 字段；聊天记录中间和之后的 system 消息
+ *   （按深度插入的世界书条目、作者注释、后续历史指令）转换为 user 消息，保持原来的位置
+ * - assistant 的 tool_calls 转换为 tool_use 块，tool 消息转换为 user 的 tool_result 块
+ * - image_url 内容块转换为 image 块
+ * - 相邻的同角色消息合并为一条
+ * - 第一条消息必须是 user，否则补一条占位消息
+ * @param {Array} messages - OpenAI 格式消息数组
+ * @returns {{system: string, messages: Array}}
+ */
+function toAnthropicMessages(messages) {
+    const systemParts = [];
+    const turns = [];
+
+    for (const msg of messages) {
+        if (msg.role === 'system') {
+            if (!msg.content) {
+                continue;
+            }
+            if (turns.length === 0) {
+                systemParts.push(msg.content);
+                continue;
+            }
+        }
+
+        const turn = msg.role === 'system' ? { role: 'user', content: msg.content } : toAnthropicTurn(msg);
+        const last = turns[turns.length - 1];
+        if (last && last.role === turn.role) {
+            last.content = mergeContent(last.content, turn.content);
+        } else {
+            turns.push(turn);
+        }
+    }
+
+    if (turns.length > 0 && turns[0].role !== 'user') {
+        turns.unshift({ role: 'user', content: '[开始新对话]' });
+    }
+
+    return { system: systemParts.join('\n\n'), messages: turns };
+}
+
+/**
+ * 转换单条非 system 消息
+ */
+function toAnthropicTurn(msg) {
+    if (msg.role === 'tool') {
+        return {
+            role: 'user',
+            content: [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: msg.content }]
+        };
+    }
+
+    if (msg.role === 'assistant' && msg.tool_calls?.length) {
+        const blocks = msg.content ? [{ type: 'text', text: msg.content }] : [];
+        for (const call of msg.tool_calls) {
+            blocks.push({
+                type: 'tool_use',
+                id: call.id,
+                name: call.function.name,
+                input: parseToolArguments(call.function.arguments)
+            });
+        }
+        return { role: 'assistant', content: blocks };
+    }
+
+    if (Array.isArray(msg.content)) {
+        return { role: msg.role, content: msg.content.map(toAnthropicBlock) };
+    }
+
+    return { role: msg.role, content: msg.content };
+}
+
+/**
+ * 转换 OpenAI 格式的内容块（text / image_url）
+ */
+function toAnthropicBlock(part) {
+    if (part.type !== 'image_url') {
+        return part;
+    }
+
+    const url = part.image_url.url;
+    const match = /^data:([^;]+);base64,(.*)$/s.exec(url);
+    if (match) {
+        return { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } };
+    }
+    return { type: 'image', source: { type: 'url', url } };
+}
+
+/**
+ * 合并两条同角色消息的内容：都是文本时用空行连接，否则合并为内容块数组
+ */
+function mergeContent(a, b) {
+    if (typeof a === 'string' && typeof b === 'string') {
+        return a + '\n\n' + b;
+    }
+    const toBlocks = (content) => typeof content === 'string'
+        ? (content ? [{ type: 'text', text: content }] : [])
+        : content;
+    return [...toBlocks(a), ...toBlocks(b)];
+}
+
+/**
+ * 解析工具调用参数（OpenAI 格式为 JSON 字符串）
+ */
+function parseToolArguments(args) {
+    if (args && typeof args === 'object') {
+        return args;
+    }
+    try {
+        return JSON.parse(args || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * 逐条解析 SSE 响应体中的 data 行
+ * @param {ReadableStream} body - fetch 响应体
+ * @param {Function} onChunk - 每收到一块数据时调用（包括心跳），用于重置空闲超时
+ */
+async function* readSSE(body, onChunk) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        onChunk?.();
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+
+            if (!line.startsWith('data:')) continue;
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return;
+
+            try {
+                yield JSON.parse(payload);
+            } catch (e) {
+                // 忽略无法解析的行（如心跳注释）
+            }
+        }
+    }
+}
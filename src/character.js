@@ -89,6 +89,10 @@ export class CharacterManager {
                 const overrideData = JSON.parse(fs.readFileSync(overridePath, 'utf-8'));
                 // 合并覆盖层数据
                 character = { ...character, ...overrideData };
+                // 在面板中保存过的后续历史指令（即使为空）优先，不再回退到角色卡中旧版的 jailbreak 字段
+                if (typeof overrideData.post_history_instructions === 'string') {
+                    character = clearLegacyJailbreak(character, overrideData.post_history_instructions);
+                }
             } catch (e) {
                 console.error(`读取覆盖层文件失败: ${overridePath}`, e);
             }
@@ -202,3 +206,20 @@ export class CharacterManager {
         return this.listCharacters();
     }
 }
+
+/**
+ * 用覆盖层中的后续历史指令替换角色卡中的同名字段，并去掉旧版的 jailbreak 字段
+ * @param {Object} character - 合并覆盖层后的角色数据
+ * @param {string} instructions - 覆盖层中的后续历史指令
+ */
+function clearLegacyJailbreak(character, instructions) {
+    const { jailbreak, ...rest } = character;
+    if (!rest.data) {
+        return rest;
+    }
+    const { jailbreak: legacy, ...extensions } = rest.data.extensions || {};
+    return {
+        ...rest,
+        data: { ...rest.data, post_history_instructions: instructions, extensions }
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * 聊天命令模块
+ * 处理以 / 开头的聊天命令（如 /stop），未注册的命令按普通消息处理
+ */
+
+export class CommandHandler {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.commands = new Map();
+    }
+
+    /**
+     * 注册命令
+     * @param {string} name - 命令名（不含 /）
+     * @param {Object} command
+     * @param {string} command.description - 命令说明
+     * @param {boolean} command.adminOnly - 是否仅管理员可用（chat.adminUsers）
+     * @param {Function} command.handler - async (args, context) => string 回复文本
+     *   args 为按空白切分的参数；context.argText 为命令名之后的原始文本（保留换行，用于多行内容）
+     */
+    register(name, { description = '', adminOnly = false, handler }) {
+        this.commands.set(name, { name, description, adminOnly, handler });
+    }
+
+    /**
+     * 判断用户是否为管理员
+     * @param {number} userId - QQ 号
+     */
+    isAdmin(userId) {
+        const admins = this.config.chat.adminUsers || [];
+        return admins.map(String).includes(String(userId));
+    }
+
+    /**
+     * 尝试处理一条消息
+     * @param {string} text - 消息文本
+     * @param {Object} context - { sessionId, userId, groupId, messageType }
+     * @returns {Promise<string|null>} 命令的回复文本；不是已注册的命令时返回 null
+     */
+    async handle(text, context) {
+        if (!text.startsWith('/')) {
+            return null;
+        }
+
+        const [name, ...args] = text.slice(1).trim().split(/\s+/);
+        const argText = text.slice(1).trim().slice(name.length).trim();
+        const command = this.commands.get(name);
+        if (!command) {
+            return null;
+        }
+
+        if (command.adminOnly && !this.isAdmin(context.userId)) {
+            this.logger.warn(`[命令] 非管理员 ${context.userId} 尝试使用 /${name}`);
+            return '只有管理员可以使用这个命令';
+        }
+
+        this.logger.info(`[命令] [${context.sessionId}] /${name} ${args.join(' ')}`);
+        try {
+            return await command.handler(args, { ...context, argText });
+        } catch (error) {
+            this.logger.error(`[命令] /${name} 执行失败: ${error.message}`);
+            return `命令执行失败: ${error.message}`;
+        }
+    }
+}
+
+/**
+ * 注册内置命令
+ * @param {CommandHandler} handler
+ * @param {Object} deps - { sessionManager, personaManager }
+ */
+export function registerBuiltinCommands(handler, { sessionManager, personaManager }) {
+    handler.register('stop', {
+        description: '停止正在进行的回复。群聊中停止本群所有回复，可用 /stop <QQ号> 只停止某人的',
+        adminOnly: true,
+        handler: (args, { sessionId, groupId, messageType }) => {
+            let targets;
+            if (messageType === 'group') {
+                const prefix = `group_${groupId}_`;
+                targets = sessionManager.listGenerations().filter(id =>
+                    args[0] ? id === prefix + args[0] : id.startsWith(prefix) || id === `group_${groupId}`);
+            } else {
+                targets = [sessionId];
+            }
+
+            const stopped = targets.filter(id => sessionManager.cancelGeneration(id)).length;
+            return stopped > 0
+                ? `已停止 ${stopped} 个正在进行的回复`
+                : '当前没有正在进行的回复';
+        }
+    });
+
+    handler.register('note', {
+        description: '查看或设置当前会话的作者注释：/note <内容>、/note depth <深度>、/note role <system|user|assistant>、/note every <轮数>、/note clear',
+        adminOnly: true,
+        handler: (args, { sessionId, argText }) => {
+            const [action, value] = args;
+            const note = sessionManager.getAuthorsNote(sessionId);
+
+            if (!action) {
+                return note?.text
+                    ? `作者注释：${note.text}\n深度 ${note.depth}，角色 ${note.role}，每 ${note.interval} 轮插入一次`
+                    : '当前会话没有作者注释';
+            }
+            if (action === 'clear') {
+                sessionManager.clearAuthorsNote(sessionId);
+                return '作者注释已清除';
+            }
+            if (action === 'depth' || action === 'every') {
+                if (!/^\d+$/.test(value || '')) {
+                    return `用法: /note ${action} <非负整数>`;
+                }
+                const updated = sessionManager.setAuthorsNote(sessionId, action === 'depth' ? { depth: value } : { interval: value });
+                return action === 'depth'
+                    ? `作者注释深度已设为 ${updated.depth}`
+                    : `作者注释改为每 ${updated.interval} 轮插入一次`;
+            }
+            if (action === 'role') {
+                if (!['system', 'user', 'assistant'].includes(value)) {
+                    return '用法: /note role <system|user|assistant>';
+                }
+                sessionManager.setAuthorsNote(sessionId, { role: value });
+                return `作者注释角色已设为 ${value}`;
+            }
+
+            sessionManager.setAuthorsNote(sessionId, { text: argText });
+            return '作者注释已设置';
+        }
+    });
+
+    handler.register('persona', {
+        description: '查看或设置自己的用户设定：/persona <描述>、/persona name <显示名>、/persona pronouns <代词>、/persona clear',
+        handler: (args, { userId, argText }) => {
+            const [action] = args;
+            // 子命令之后的原始文本
+            const value = argText.slice(action?.length || 0).trim();
+
+            if (!action) {
+                const persona = personaManager.getPersona(userId);
+                if (!persona) {
+                    return '你还没有用户设定，发送 /persona <描述> 设置';
+                }
+                return [
+                    `显示名：${persona.name || '（使用群名片或昵称）'}`,
+                    `代词：${persona.pronouns || '（未设置）'}`,
+                    `描述：${persona.description || '（未设置）'}`
+                ].join('\n');
+            }
+            if (action === 'clear') {
+                return personaManager.deletePersona(userId) ? '用户设定已清除' : '你还没有用户设定';
+            }
+            if (action === 'name' || action === 'pronouns') {
+                personaManager.setPersona(userId, { [action]: value });
+                const label = action === 'name' ? '显示名' : '代词';
+                return value ? `${label}已设为 ${value}` : `${label}已清除`;
+            }
+
+            personaManager.setPersona(userId, { description: argText });
+            return '用户设定已更新';
+        }
+    });
+}
@@ -0,0 +1,178 @@
+/**
+ * 图片消息模块
+ * 将 QQ 图片消息段转换为 OpenAI 格式的 image_url 内容块，并提供多模态消息内容的文本化处理
+ * 会话历史中只保存图片引用（local-image://文件名），图片文件保存在图片目录中，发送给模型前再读取
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+// 不支持图片的模型、以及超出历史图片上限时使用的占位文本
+export const IMAGE_PLACEHOLDER = '[图片]';
+
+const DOWNLOAD_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+
+// 图片引用的前缀
+const IMAGE_REF_PREFIX = 'local-image://';
+
+// 保存图片文件的目录（由 useImageDir 设置）
+let imageDir = null;
+
+// 常见图片格式的文件头
+const IMAGE_SIGNATURES = [
+    { mime: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47] },
+    { mime: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mime: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], offset8: [0x57, 0x45, 0x42, 0x50] }
+];
+
+/**
+ * 读取 OneBot 图片消息段，返回 data URL
+ * 支持 base64://、file:// 、本地路径和 http(s) 链接
+ * @param {Object} data - 图片消息段的 data（{ file, url }）
+ * @param {number} maxSize - 图片最大字节数
+ * @returns {Promise<string>} data:image/...;base64,... 格式的 URL
+ */
+export async function loadImageAsDataUrl(data, maxSize = DEFAULT_MAX_IMAGE_SIZE) {
+    const source = data.url || data.file || '';
+    let buffer;
+    let contentType = '';
+
+    if (source.startsWith('base64://')) {
+        buffer = Buffer.from(source.slice('base64://'.length), 'base64');
+    } else if (source.startsWith('http://') || source.startsWith('https://')) {
+        const response = await fetch(source, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`下载图片失败: HTTP ${response.status}`);
+        }
+        const length = Number(response.headers.get('content-length'));
+        if (length > maxSize) {
+            throw new Error(`图片过大: ${length} 字节`);
+        }
+        contentType = response.headers.get('content-type') || '';
+        buffer = Buffer.from(await response.arrayBuffer());
+    } else if (source) {
+        const filePath = source.startsWith('file://') ? fileURLToPath(source) : source;
+        buffer = fs.readFileSync(filePath);
+    } else {
+        throw new Error('图片消息段缺少 url 或 file');
+    }
+
+    if (buffer.length > maxSize) {
+        throw new Error(`图片过大: ${buffer.length} 字节`);
+    }
+
+    const mime = detectImageType(buffer) || (contentType.startsWith('image/') ? contentType.split(';')[0] : 'image/jpeg');
+    return `data:${mime};base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * 设置保存图片文件的目录
+ * @param {string} dir - 目录路径
+ */
+export function useImageDir(dir) {
+    imageDir = dir;
+}
+
+/**
+ * 把 data URL 形式的图片保存为文件，返回写入会话历史的图片引用
+ * 文件名为图片内容的哈希，同一张图片只保存一份；未设置图片目录时原样返回 data URL
+ * @param {string} dataUrl - loadImageAsDataUrl 返回的 data URL
+ * @returns {string} local-image://文件名
+ */
+export function storeImage(dataUrl) {
+    const match = /^data:image\/([a-z+.-]+);base64,(.*)$/s.exec(dataUrl);
+    if (!imageDir || !match) {
+        return dataUrl;
+    }
+
+    const buffer = Buffer.from(match[2], 'base64');
+    const extension = match[1] === 'jpeg' ? 'jpg' : match[1].replace(/[^a-z]/g, '');
+    const fileName = `${crypto.createHash('sha1').update(buffer).digest('hex')}.${extension}`;
+    const filePath = path.join(imageDir, fileName);
+    if (!fs.existsSync(filePath)) {
+        fs.mkdirSync(imageDir, { recursive: true });
+        fs.writeFileSync(filePath, buffer);
+    }
+    return IMAGE_REF_PREFIX + fileName;
+}
+
+/**
+ * 把消息中的图片引用读取为 data URL（发送给模型前调用），图片文件已不存在时以占位文本代替
+ * @param {Array} messages - 消息数组
+ * @returns {Promise<Array>} 新的消息数组，不含图片引用的消息保持原对象
+ */
+export async function resolveImageRefs(messages) {
+    const isRef = (part) => part.type === 'image_url' && part.image_url?.url?.startsWith(IMAGE_REF_PREFIX);
+
+    return Promise.all(messages.map(async (msg) => {
+        if (!Array.isArray(msg.content) || !msg.content.some(isRef)) {
+            return msg;
+        }
+        const content = await Promise.all(msg.content.map(async (part) => {
+            if (!isRef(part)) {
+                return part;
+            }
+            const fileName = path.basename(part.image_url.url.slice(IMAGE_REF_PREFIX.length));
+            try {
+                const buffer = await fs.promises.readFile(path.join(imageDir || '', fileName));
+                const mime = detectImageType(buffer) || 'image/jpeg';
+                return { ...part, image_url: { ...part.image_url, url: `data:${mime};base64,${buffer.toString('base64')}` } };
+            } catch (err) {
+                return { type: 'text', text: IMAGE_PLACEHOLDER };
+            }
+        }));
+        return { ...msg, content };
+    }));
+}
+
+/**
+ * 根据文件头判断图片类型
+ * @returns {string|null} MIME 类型
+ */
+function detectImageType(buffer) {
+    for (const sig of IMAGE_SIGNATURES) {
+        const matches = (bytes, start) => bytes.every((b, i) => buffer[start + i] === b);
+        if (matches(sig.bytes, 0) && (!sig.offset8 || matches(sig.offset8, 8))) {
+            return sig.mime;
+        }
+    }
+    return null;
+}
+
+/**
+ * 获取消息内容的纯文本（内容块数组中的图片替换为占位文本）
+ * @param {string|Array} content - 消息内容
+ */
+export function getTextContent(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    if (!Array.isArray(content)) {
+        return '';
+    }
+    return content
+        .map(part => part.type === 'text' ? part.text : IMAGE_PLACEHOLDER)
+        .join('');
+}
+
+/**
+ * 判断消息内容是否包含图片
+ */
+export function hasImages(content) {
+    return Array.isArray(content) && content.some(part => part.type === 'image_url');
+}
+
+/**
+ * 将消息数组中的图片全部替换为占位文本（用于不支持图片的模型）
+ * @param {Array} messages - 消息数组
+ * @returns {Array} 新的消息数组
+ */
+export function stripImages(messages) {
+    return messages.map(msg => hasImages(msg.content)
+        ? { ...msg, content: getTextContent(msg.content) }
+        : msg);
+}
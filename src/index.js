@@ -15,11 +15,21 @@ import { OneBotClient } from './onebot.js';
 import { CharacterManager } from './character.js';
 import { WorldBookManager } from './worldbook.js';
 import { PromptBuilder } from './prompt.js';
-import { AIClient } from './ai.js';
+import { PresetManager } from './preset.js';
+import { AIClient, AIError } from './ai.js';
 import { SessionManager } from './session.js';
 import { RegexProcessor } from './regex.js';
+import { MacroEngine } from './macro.js';
+import { Summarizer } from './summary.js';
+import { MemoryManager } from './memory.js';
+import { PersonaManager } from './persona.js';
 import { setupRoutes } from './routes.js';
 import { Logger } from './logger.js';
+import { useTokenizer } from './tokenizer.js';
+import { UsageTracker } from './usage.js';
+import { ToolRegistry, registerBuiltinTools } from './tools.js';
+import { loadImageAsDataUrl, storeImage, useImageDir, getTextContent, IMAGE_PLACEHOLDER } from './image.js';
+import { CommandHandler, registerBuiltinCommands } from './commands.js';
 import { TTSManager, VOICE_TYPES, parseVoiceTags } from './tts.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -51,10 +61,28 @@ const DATA_DIR = config.chat.dataDir || join(ROOT_DIR, 'data');
 const characterManager = new CharacterManager(DATA_DIR);
 const worldBookManager = new WorldBookManager(DATA_DIR);
 const sessionManager = new SessionManager(config.chat.maxHistoryLength);
-const regexProcessor = new RegexProcessor(config.regex);
-const aiClient = new AIClient(config.ai);
-const promptBuilder = new PromptBuilder(characterManager, worldBookManager);
+const macroEngine = new MacroEngine(config);
+const regexProcessor = new RegexProcessor(macroEngine);
+const aiClient = new AIClient(config.ai, logger);
+const presetManager = new PresetManager(DATA_DIR, config);
+const memoryManager = new MemoryManager(DATA_DIR, config);
+const personaManager = new PersonaManager(DATA_DIR);
+const promptBuilder = new PromptBuilder(characterManager, worldBookManager, config, presetManager, macroEngine, memoryManager);
 const ttsManager = new TTSManager();
+const usageTracker = new UsageTracker(DATA_DIR, config);
+const toolRegistry = new ToolRegistry(config, logger);
+const summarizer = new Summarizer(config, logger, { aiClient, sessionManager, usageTracker });
+registerBuiltinTools(toolRegistry, { sessionManager, worldBookManager });
+const commandHandler = new CommandHandler(config, logger);
+registerBuiltinCommands(commandHandler, { sessionManager, personaManager });
+
+// 用户发送的图片保存在 data/images 中，会话历史只记录引用
+useImageDir(join(DATA_DIR, 'images'));
+
+// 选择 token 估算方式（默认 cjk）
+if (config.chat.tokenizer) {
+    useTokenizer(config.chat.tokenizer);
+}
 
 // 初始化 TTS 配置
 if (config.tts) {
@@ -96,9 +124,17 @@ setupRoutes(app, {
     regexProcessor,
     aiClient,
     promptBuilder,
+    presetManager,
     logger,
     bot,
     ttsManager,
+    usageTracker,
+    toolRegistry,
+    summarizer,
+    memoryManager,
+    personaManager,
+    handleMessage,
+    buildPrompt,
     VOICE_TYPES
 });
 
@@ -114,17 +150,44 @@ wss.on('connection', (ws) => {
     });
 });
 
-// 处理 QQ 消息
-async function handleMessage(event, bot) {
-    const { message_type, user_id, group_id, raw_message, message } = event;
+// 一条消息从请求 AI 到得到回复的默认总超时（含重试和切换配置）
+const DEFAULT_REPLY_TIMEOUT_MS = 180000;
+
+// AI 调用失败时各类错误的默认回复（可通过 chat.errorReplies 覆盖，设为空字符串则不回复）
+const DEFAULT_ERROR_REPLIES = {
+    timeout: '丢包了，等了好久都没反应...要不你再试试？',
+    transient: '服务器有点忙，等一会儿再试试吧~',
+    auth: 'API 密钥好像出问题了，请联系管理员检查配置~',
+    quota: 'API 额度用完了，请联系管理员~',
+    content_filtered: '这个话题我没法接，换个话题吧~',
+    context_too_long: '聊得太久，我记不下啦...请管理员清理一下会话历史吧~',
+    unknown: '',
+    // 流式回复发出一部分后被中断（超时、出错或被取消）
+    interrupted: '（话说到一半被打断了...）'
+};
+
+// 获取某类错误的用户回复
+function getErrorReply(type) {
+    const replies = { ...DEFAULT_ERROR_REPLIES, ...config.chat.errorReplies };
+    return replies[type] ?? '';
+}
+
+// 处理 QQ 消息（options.profile 指定只使用某个 AI 配置，用于测试）
+async function handleMessage(event, bot, options = {}) {
+    const { message_type, user_id, group_id, raw_message, message, sender } = event;
+    // 用于 {{user}} 宏：用户设定的显示名 > 群名片 > 昵称 > QQ 号
+    const userName = personaManager.getPersona(user_id)?.name || sender?.card || sender?.nickname || String(user_id);
     
-    // 提取纯文本
+    // 提取纯文本和图片
     let text = '';
     let isAtMe = false;
+    const imageSegments = [];
     
     for (const seg of message) {
         if (seg.type === 'text') {
             text += seg.data.text;
+        } else if (seg.type === 'image') {
+            imageSegments.push(seg);
         } else if (seg.type === 'at' && seg.data.qq === String(bot.selfId)) {
             isAtMe = true;
         }
@@ -170,137 +233,401 @@ async function handleMessage(event, bot) {
         }
     }
     
-    if (!shouldRespond || !text) return;
+    if (!shouldRespond || (!text && imageSegments.length === 0)) return;
     
-    // 生成会话 ID
+    // 生成会话 ID：群聊默认每人一个会话，chat.groupSessionMode 为 shared 时全群共享一个会话
+    const sharedGroup = message_type === 'group' && config.chat.groupSessionMode === 'shared';
     const sessionId = message_type === 'group' 
-        ? `group_${group_id}_${user_id}` 
+        ? (sharedGroup ? `group_${group_id}` : `group_${group_id}_${user_id}`)
         : `private_${user_id}`;
     
-    logger.info(`收到消息 [${sessionId}]: ${text.substring(0, 50)}...`);
+    logger.info(`收到消息 [${sessionId}]: ${text.substring(0, 50)}...` +
+        (imageSegments.length ? ` (${imageSegments.length} 张图片)` : ''));
+    
+    // 聊天命令（如 /stop）
+    const commandReply = await commandHandler.handle(text, {
+        sessionId,
+        userId: user_id,
+        groupId: group_id,
+        messageType: message_type
+    });
+    if (commandReply !== null) {
+        if (commandReply) {
+            await sendText(bot, event, commandReply).catch(err => logger.error(`发送命令回复失败: ${err.message}`));
+        }
+        return;
+    }
+    
+    // 本次生成的取消控制：/stop、Web 面板或整体超时都会触发
+    // 流式回复每收到一段文本重新计时，只要仍在输出就不会因为回复较长而超时
+    const generation = sessionManager.beginGeneration(sessionId);
+    const { signal } = generation;
+    const replyTimeout = config.chat.replyTimeout || DEFAULT_REPLY_TIMEOUT_MS;
+    let timer = null;
+    const resetTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            generation.abort(new AIError('AI 响应超时', { code: 'timeout', type: 'timeout' }));
+        }, replyTimeout);
+    };
+    resetTimer();
     
     try {
-        // 获取会话历史和粘性条目
-        const session = sessionManager.getSession(sessionId);
-        const stickyKeys = sessionManager.getStickyEntryKeys(sessionId);
-        
-        // 构建 Prompt（传入粘性键）
-        const { messages, worldBookCount, worldBookEntries } = await promptBuilder.build(
-            config.chat.defaultCharacter,
+        // 输入正则处理后构建 Prompt（与 Prompt 预览使用同一流程）
+        const { messages, character, worldBookCount, worldBookEntries, memories, tokenUsage, userContent, macroContext } = await buildPrompt(
+            sessionId,
             text,
-            session.messages,
-            stickyKeys
+            { userName, userId: user_id, groupChat: sharedGroup, imageSegments }
         );
         
         // 统计触发方式
         const keywordTriggered = worldBookEntries.filter(e => e.triggeredByKeyword).length;
         const stickyTriggered = worldBookEntries.filter(e => e.triggeredBySticky).length;
-        logger.info(`世界书匹配: ${worldBookCount} 条 (关键词: ${keywordTriggered}, 粘性: ${stickyTriggered})`);
+        const recursionTriggered = worldBookEntries.filter(e => e.triggeredByRecursion).length;
+        logger.info(`世界书匹配: ${worldBookCount} 条 (关键词: ${keywordTriggered}, 递归: ${recursionTriggered}, 粘性: ${stickyTriggered})`);
+        if (memories.length > 0) {
+            logger.info(`长期记忆: 检索到 ${memories.length} 条相关记忆`);
+        }
+        logger.info(`Prompt 约 ${tokenUsage.total} tokens` +
+            (tokenUsage.budget ? ` / 预算 ${tokenUsage.budget}` : '') +
+            (tokenUsage.droppedHistory ? `，丢弃最早的 ${tokenUsage.droppedHistory} 条历史` : '') +
+            (tokenUsage.droppedWorldBook ? `，跳过 ${tokenUsage.droppedWorldBook} 条世界书（世界书预算 ${tokenUsage.worldBookBudget ?? '不限'}）` : '') +
+            (tokenUsage.droppedExamples ? `，挤出 ${tokenUsage.droppedExamples} 段对话示例` : ''));
+
+        // 当前角色可用的工具（未启用工具调用时为空）
+        const tools = toolRegistry.getToolsForCharacter(character);
 
-        // 调用 AI（带超时检测）
-        const TIMEOUT_MS = 60000; // 1分钟超时
+        // 调用 AI
+        // 工具调用需要拿到完整的响应，启用工具时不使用流式
+        const streamMode = config.ai.stream === true && tools.length === 0;
         let reply;
 
-        try {
-            const aiPromise = aiClient.chat(messages);
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('AI_TIMEOUT')), TIMEOUT_MS);
-            });
+        // 流式模式：每完成一个段落就立即发送，发送按顺序串行进行
+        let pending = '';
+        let sendQueue = Promise.resolve();
+        // 已发出的段落（经过正则处理）
+        const sentSegments = [];
+        const flushSegment = (segment) => {
+            if (!segment.trim() || signal.aborted) return;
+            const processed = regexProcessor.process(segment, 'output', macroContext);
+            sentSegments.push(processed);
+            sendQueue = sendQueue
+                .then(() => deliverReply(bot, event, processed))
+                .catch(err => logger.error(`发送流式分段失败: ${err.message}`));
+        };
+        const onText = (delta) => {
+            resetTimer();
+            pending += delta;
+            let index;
+            while ((index = findSegmentEnd(pending)) !== -1) {
+                flushSegment(pending.slice(0, index));
+                pending = pending.slice(index).replace(/^\n+/, '');
+            }
+        };
+
+        // 保存本轮对话：写入会话历史，更新粘性条目和长期记忆，历史达到阈值时在后台总结
+        const saveExchange = (replyText) => {
+            // 保存到会话
+            // 共享会话中记录发言者，之后的 Prompt 中会带上名字和最近发言者的用户设定
+            if (sharedGroup) {
+                sessionManager.addMessage(sessionId, 'user', userContent, userName, user_id);
+            } else {
+                sessionManager.addMessage(sessionId, 'user', userContent);
+            }
+            sessionManager.addMessage(sessionId, 'assistant', replyText);
+            if (Array.isArray(userContent)) {
+                sessionManager.limitHistoryImages(sessionId, config.chat.historyImageLimit ?? 2);
+            }
+
+            // 更新粘性世界书条目状态
+            sessionManager.updateStickyEntries(sessionId, worldBookEntries);
+
+            // 保存到长期记忆
+            if (config.memory?.enabled) {
+                memoryManager.add(memoryManager.getScopeKey(sessionId, user_id), {
+                    sessionId,
+                    user: userName,
+                    userText: getTextContent(userContent),
+                    character: character.name,
+                    reply: replyText
+                });
+            }
+
+            // 历史达到阈值时在后台总结最早的消息，不阻塞回复
+            summarizer.maybeSummarize(sessionId, { characterName: character.name })
+                .catch(err => logger.error(`总结历史失败 [${sessionId}]: ${err.message}`));
+        };
 
-            reply = await Promise.race([aiPromise, timeoutPromise]);
+        // 流式回复发出一部分后中断（超时、出错或被取消）：已发出的部分照常写入历史，并告诉用户回复被打断
+        const finishInterrupted = async (reason) => {
+            logger.warn(`流式回复中断 [${sessionId}]，已发送 ${sentSegments.length} 段: ${reason}`);
+            await sendQueue;
+            saveExchange(sentSegments.join('\n\n'));
+            const notice = getErrorReply('interrupted');
+            if (notice) {
+                await sendText(bot, event, notice);
+            }
+        };
+
+        // 记录本次请求的 token 用量
+        const onUsage = (usage) => usageTracker.record({
+            ...usage,
+            sessionId,
+            userId: user_id,
+            groupId: group_id
+        });
+
+        try {
+            if (tools.length > 0) {
+                reply = await chatWithTools(messages, tools, { onUsage, signal, profile: options.profile }, {
+                    sessionId,
+                    userId: user_id,
+                    groupId: group_id,
+                    characterName: character.name
+                });
+            } else if (streamMode) {
+                reply = await aiClient.chatStream(messages, onText, { onUsage, signal, profile: options.profile });
+            } else {
+                reply = await aiClient.chat(messages, { onUsage, signal, profile: options.profile });
+            }
         } catch (error) {
-            if (error.message === 'AI_TIMEOUT') {
-                logger.warn(`AI 响应超时 [${sessionId}]`);
-                const timeoutMsg = '丢包了，等了一分钟都没反应...要不你再试试？';
-                if (message_type === 'group') {
-                    await bot.sendGroupMessage(group_id, timeoutMsg);
-                } else {
-                    await bot.sendPrivateMessage(user_id, timeoutMsg);
+            if (sentSegments.length > 0) {
+                await finishInterrupted(error.message);
+                return;
+            }
+            if (error instanceof AIError && error.type === 'cancelled') {
+                // 被手动取消：不回复，也不写入历史
+                logger.info(`生成已取消 [${sessionId}]`);
+                return;
+            }
+            if (error instanceof AIError) {
+                // 按错误分类回复用户
+                logger.warn(`AI 调用失败 [${sessionId}] (${error.type}): ${error.message}`);
+                const errorReply = getErrorReply(error.type);
+                if (errorReply) {
+                    await sendText(bot, event, errorReply);
                 }
                 return; // 直接返回，不继续处理
             }
             throw error; // 其他错误继续抛出
         }
 
+        // 响应返回后、保存之前被取消，同样丢弃（已发出部分段落时按中断处理）
+        if (signal.aborted) {
+            if (sentSegments.length > 0) {
+                await finishInterrupted(signal.reason?.message || '已取消');
+                return;
+            }
+            logger.info(`生成已取消 [${sessionId}]`);
+            return;
+        }
+
         // 正则处理
-        const processedReply = regexProcessor.process(reply);
-        
-        // 保存到会话
-        sessionManager.addMessage(sessionId, 'user', text);
-        sessionManager.addMessage(sessionId, 'assistant', processedReply);
-        
-        // 更新粘性世界书条目状态
-        sessionManager.updateStickyEntries(sessionId, worldBookEntries);
+        const processedReply = regexProcessor.process(reply, 'output', macroContext);
+        saveExchange(processedReply);
         
         logger.info(`回复 [${sessionId}]: ${processedReply.substring(0, 50)}...`);
         
-        // 解析 [voice:...] 标签
-        const ttsConfig = ttsManager.getConfig();
-        const { textParts, hasVoice } = parseVoiceTags(processedReply);
+        if (streamMode) {
+            // 发送最后一个未以空行结尾的段落
+            flushSegment(pending);
+            await sendQueue;
+        } else {
+            await deliverReply(bot, event, processedReply);
+        }
         
-        // 按顺序发送文字和语音
-        for (const part of textParts) {
-            if (part.type === 'text') {
-                // 发送文字消息（支持分段）
-                const splitMessage = config.chat.splitMessage !== false;
-                
-                if (splitMessage) {
-                    const segments = part.content.split(/\n\n+/).filter(s => s.trim());
-                    for (const segment of segments) {
-                        if (message_type === 'group') {
-                            await bot.sendGroupMessage(group_id, segment.trim());
-                        } else {
-                            await bot.sendPrivateMessage(user_id, segment.trim());
-                        }
-                        if (segments.length > 1) {
-                            await new Promise(r => setTimeout(r, 500));
-                        }
-                    }
-                } else {
-                    if (message_type === 'group') {
-                        await bot.sendGroupMessage(group_id, part.content);
-                    } else {
-                        await bot.sendPrivateMessage(user_id, part.content);
-                    }
-                }
-            } else if (part.type === 'voice' && ttsConfig.enabled) {
-                // 发送语音消息
-                try {
-                    logger.info(`[TTS] 合成语音: ${part.content.substring(0, 30)}...`);
-                    const audioPath = await ttsManager.synthesize(part.content);
-                    
-                    if (message_type === 'group') {
-                        await bot.sendGroupRecord(group_id, audioPath);
-                    } else {
-                        await bot.sendPrivateRecord(user_id, audioPath);
-                    }
-                    logger.info(`[TTS] 语音发送成功`);
-                } catch (ttsError) {
-                    // TTS 失败时，将语音内容作为文字发送
-                    logger.warn(`[TTS] 语音合成失败: ${ttsError.message}`);
-                    const fallbackText = `（语音：${part.content}）`;
-                    if (message_type === 'group') {
-                        await bot.sendGroupMessage(group_id, fallbackText);
-                    } else {
-                        await bot.sendPrivateMessage(user_id, fallbackText);
+    } catch (error) {
+        logger.error(`处理消息失败: ${error.message}`);
+    } finally {
+        clearTimeout(timer);
+        sessionManager.endGeneration(sessionId, generation);
+    }
+}
+
+/**
+ * 构建一条用户消息的 Prompt：先对消息做输入阶段的正则处理，再按会话当前的状态组装
+ * 不修改会话（不创建会话、不更新粘性条目），handleMessage 和 Prompt 预览共用
+ * @param {string} sessionId - 会话 ID
+ * @param {string} text - 用户消息文本
+ * @param {Object} options
+ * @param {string} options.userName - 发言者名字，用于 {{user}}
+ * @param {number} options.userId - 发言者 QQ 号，用于用户设定和按用户分组的长期记忆
+ * @param {boolean} options.groupChat - 是否为群聊共享会话
+ * @param {Array} options.imageSegments - OneBot 图片消息段
+ * @returns {Promise<Object>} promptBuilder.build 的结果，另附 userContent（要写入历史的用户消息）、processedText 和 macroContext
+ */
+async function buildPrompt(sessionId, text, { userName, userId, groupChat = false, imageSegments = [] } = {}) {
+    const session = sessionManager.peekSession(sessionId);
+    const character = characterManager.readFromPng(config.chat.defaultCharacter);
+    const macroContext = { char: character.name, user: userName, lastMessage: text, lastMessageAt: session?.lastMessageAt };
+
+    const processedText = regexProcessor.process(text, 'input', macroContext);
+    // 带图片时，用户消息为 OpenAI 格式的内容块数组
+    const userContent = imageSegments.length > 0
+        ? await buildImageContent(processedText, imageSegments)
+        : processedText;
+
+    // 传入粘性键、记住的事实、前情提要、长期记忆分组、用户设定、作者注释和宏上下文
+    const result = await promptBuilder.build(
+        config.chat.defaultCharacter,
+        userContent,
+        session?.messages || [],
+        sessionManager.getStickyEntryKeys(sessionId),
+        {
+            facts: sessionManager.getFacts(sessionId),
+            summary: sessionManager.getSummary(sessionId),
+            memoryKey: memoryManager.getScopeKey(sessionId, userId),
+            user: userName,
+            personas: personaManager.getActivePersonas(userId, userName, groupChat ? session?.messages : []),
+            lastMessageAt: session?.lastMessageAt,
+            authorsNote: sessionManager.getDueAuthorsNote(sessionId),
+            groupChat
+        }
+    );
+
+    return { ...result, userContent, processedText, macroContext };
+}
+
+/**
+ * 组装带图片的用户消息内容：文本在前，图片在后
+ * 读取失败的图片以占位文本代替
+ * @param {string} text - 消息文本
+ * @param {Array} imageSegments - OneBot 图片消息段
+ * @returns {Promise<Array>} OpenAI 格式的内容块数组
+ */
+async function buildImageContent(text, imageSegments) {
+    const parts = text ? [{ type: 'text', text }] : [];
+
+    for (const seg of imageSegments) {
+        try {
+            const dataUrl = await loadImageAsDataUrl(seg.data, config.chat.maxImageSize);
+            parts.push({ type: 'image_url', image_url: { url: storeImage(dataUrl) } });
+        } catch (err) {
+            logger.warn(`读取图片失败: ${err.message}`);
+            parts.push({ type: 'text', text: IMAGE_PLACEHOLDER });
+        }
+    }
+
+    return parts;
+}
+
+/**
+ * 带工具调用的对话：模型请求调用工具时执行工具并把结果交回模型，直到模型给出最终回复
+ * 超过 tools.maxIterations 轮后强制模型不再调用工具
+ * @param {Array} messages - Prompt 消息数组
+ * @param {Array} tools - 可用的工具定义
+ * @param {Object} options - 传给 AIClient 的选项
+ * @param {Object} context - 工具调用上下文 { sessionId, userId, groupId, characterName }
+ * @returns {Promise<string>} 最终回复
+ */
+async function chatWithTools(messages, tools, options, context) {
+    const maxIterations = config.tools?.maxIterations ?? 5;
+    const conversation = [...messages];
+
+    for (let i = 0; i < maxIterations; i++) {
+        const { content, toolCalls } = await aiClient.complete(conversation, { ...options, tools });
+        if (toolCalls.length === 0) {
+            return content;
+        }
+
+        conversation.push({
+            role: 'assistant',
+            content,
+            tool_calls: toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+            }))
+        });
+
+        for (const call of toolCalls) {
+            const result = await toolRegistry.execute(call.name, call.arguments, context);
+            conversation.push({ role: 'tool', tool_call_id: call.id, content: result });
+        }
+    }
+
+    logger.warn(`[工具] [${context.sessionId}] 工具调用达到 ${maxIterations} 轮上限，要求模型直接回复`);
+    const { content } = await aiClient.complete(conversation, { ...options, tools, toolChoice: 'none' });
+    return content;
+}
+
+// 发送文字消息到消息来源（群聊或私聊）
+async function sendText(bot, event, text) {
+    if (event.message_type === 'group') {
+        await bot.sendGroupMessage(event.group_id, text);
+    } else {
+        await bot.sendPrivateMessage(event.user_id, text);
+    }
+}
+
+// 发送语音消息到消息来源（群聊或私聊）
+async function sendRecord(bot, event, audioPath) {
+    if (event.message_type === 'group') {
+        await bot.sendGroupRecord(event.group_id, audioPath);
+    } else {
+        await bot.sendPrivateRecord(event.user_id, audioPath);
+    }
+}
+
+// 流式文本末尾未闭合的 [voice:...] 标签
+const OPEN_VOICE_TAG = /[\[［]voice[：:][^\]］]*$/i;
+
+/**
+ * 找到流式文本中第一个可以分段的空行：[voice:...] 标签内的空行不分段，避免标签被拆开
+ * @param {string} text - 尚未发送的文本
+ * @returns {number} 空行的位置，没有时返回 -1
+ */
+function findSegmentEnd(text) {
+    let index = text.indexOf('\n\n');
+    while (index !== -1 && OPEN_VOICE_TAG.test(text.slice(0, index))) {
+        index = text.indexOf('\n\n', index + 2);
+    }
+    return index;
+}
+
+/**
+ * 发送一段（已经过正则处理的）回复
+ * 解析 [voice:...] 标签，按顺序发送文字和语音
+ */
+async function deliverReply(bot, event, reply) {
+    const ttsConfig = ttsManager.getConfig();
+    const { textParts } = parseVoiceTags(reply);
+    
+    for (const part of textParts) {
+        if (part.type === 'text') {
+            // 发送文字消息（支持分段）
+            const splitMessage = config.chat.splitMessage !== false;
+            
+            if (splitMessage) {
+                const segments = part.content.split(/\n\n+/).filter(s => s.trim());
+                for (const segment of segments) {
+                    await sendText(bot, event, segment.trim());
+                    if (segments.length > 1) {
+                        await new Promise(r => setTimeout(r, 500));
                     }
                 }
-            } else if (part.type === 'voice' && !ttsConfig.enabled) {
-                // TTS 未启用时，将语音内容作为文字发送
-                const fallbackText = `（语音：${part.content}）`;
-                if (message_type === 'group') {
-                    await bot.sendGroupMessage(group_id, fallbackText);
-                } else {
-                    await bot.sendPrivateMessage(user_id, fallbackText);
-                }
+            } else {
+                await sendText(bot, event, part.content);
             }
-            
-            // 消息之间稍微延迟
-            await new Promise(r => setTimeout(r, 300));
+        } else if (part.type === 'voice' && ttsConfig.enabled) {
+            // 发送语音消息
+            try {
+                logger.info(`[TTS] 合成语音: ${part.content.substring(0, 30)}...`);
+                const audioPath = await ttsManager.synthesize(part.content);
+                await sendRecord(bot, event, audioPath);
+                logger.info(`[TTS] 语音发送成功`);
+            } catch (ttsError) {
+                // TTS 失败时，将语音内容作为文字发送
+                logger.warn(`[TTS] 语音合成失败: ${ttsError.message}`);
+                await sendText(bot, event, `（语音：${part.content}）`);
+            }
+        } else if (part.type === 'voice' && !ttsConfig.enabled) {
+            // TTS 未启用时，将语音内容作为文字发送
+            await sendText(bot, event, `（语音：${part.content}）`);
         }
         
-    } catch (error) {
-        logger.error(`处理消息失败: ${error.message}`);
+        // 消息之间稍微延迟
+        await new Promise(r => setTimeout(r, 300));
     }
 }
 
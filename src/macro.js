@@ -0,0 +1,115 @@
+/**
+ * 宏展开模块
+ * 兼容 SillyTavern 的 {{char}}、{{user}} 等宏，用于角色卡字段、世界书条目、预设块和正则替换文本
+ * 宏名不区分大小写，参数写法：{{name::参数1::参数2}} 或 {{name:参数}}，未知的宏保持原样
+ */
+
+import { rollDice } from './tools.js';
+
+const MACRO_PATTERN = /\{\{\s*([a-zA-Z_][\w]*)(?:\s*(::?)([\s\S]*?))?\s*\}\}/g;
+const TIME_ZONE = 'Asia/Shanghai';
+
+export class MacroEngine {
+    constructor(config = {}) {
+        this.config = config;
+        this.macros = new Map();
+        registerBuiltinMacros(this);
+    }
+
+    /**
+     * 注册宏（同名的会被覆盖）
+     * @param {string} name - 宏名
+     * @param {Function} handler - (args, context) => string，args 为参数数组
+     */
+    register(name, handler) {
+        this.macros.set(name.toLowerCase(), handler);
+    }
+
+    /**
+     * 展开文本中的宏
+     * 配置中 macros 定义的固定文本宏优先于内置宏
+     * @param {string} text - 原文本
+     * @param {Object} context - 宏上下文
+     * @param {string} context.char - 角色名
+     * @param {string} context.user - 用户名（QQ 群名片或昵称）
+     * @param {string} context.lastMessage - 最后一条聊天消息
+     * @param {number} context.lastMessageAt - 上一条消息的时间戳，用于 {{idle_duration}}
+     * @returns {string}
+     */
+    expand(text, context = {}) {
+        if (typeof text !== 'string' || !text.includes('{{')) {
+            return text;
+        }
+
+        const custom = this.config.macros || {};
+        return text.replace(MACRO_PATTERN, (match, name, separator, rawArgs) => {
+            const key = name.toLowerCase();
+            const customKey = Object.keys(custom).find(k => k.toLowerCase() === key);
+            if (customKey !== undefined) {
+                return String(custom[customKey]);
+            }
+
+            const handler = this.macros.get(key);
+            if (!handler) {
+                return match;
+            }
+
+            const args = separator === '::'
+                ? rawArgs.split('::')
+                : separator === ':' ? [rawArgs] : [];
+            try {
+                const result = handler(args, context);
+                return result === undefined || result === null ? '' : String(result);
+            } catch (err) {
+                // 参数错误时保留原文，方便在 Prompt 中看出问题
+                return match;
+            }
+        });
+    }
+}
+
+/**
+ * 注册内置宏
+ * @param {MacroEngine} engine
+ */
+function registerBuiltinMacros(engine) {
+    engine.register('char', (args, context) => context.char ?? '');
+    engine.register('user', (args, context) => context.user ?? '');
+
+    engine.register('time', () => new Date().toLocaleTimeString('zh-CN', { timeZone: TIME_ZONE, hour: '2-digit', minute: '2-digit' }));
+    engine.register('date', () => new Date().toLocaleDateString('zh-CN', { timeZone: TIME_ZONE }));
+    engine.register('weekday', () => new Date().toLocaleDateString('zh-CN', { timeZone: TIME_ZONE, weekday: 'long' }));
+
+    // {{random::a::b}} 或 {{random:a,b}}
+    engine.register('random', (args) => {
+        const options = args.length === 1 ? args[0].split(',') : args;
+        if (options.length === 0) return '';
+        return options[Math.floor(Math.random() * options.length)].trim();
+    });
+
+    // {{roll:1d20}}，只有面数时视为一个骰子，如 {{roll:20}}
+    engine.register('roll', (args) => {
+        const notation = (args[0] || '').trim();
+        return rollDice(/^\d+$/.test(notation) ? `1d${notation}` : notation).total;
+    });
+
+    engine.register('idle_duration', (args, context) => formatDuration(context.lastMessageAt));
+    engine.register('lastMessage', (args, context) => context.lastMessage ?? '');
+}
+
+/**
+ * 距某个时间点过去了多久
+ * @param {number} timestamp - 时间戳，为空表示还没有聊过
+ */
+function formatDuration(timestamp) {
+    if (!timestamp) {
+        return '很久';
+    }
+
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return '刚刚';
+    if (minutes < 60) return `${minutes} 分钟`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} 小时`;
+    return `${Math.floor(hours / 24)} 天`;
+}
@@ -0,0 +1,225 @@
+/**
+ * 长期记忆模块
+ * 每轮对话保存为一条记忆，按会话或按用户分组，构建 Prompt 时用 BM25 在本地检索与当前消息相关的记忆
+ * 中日韩文字按相邻两字（bigram）切分，英文和数字按单词切分，不依赖外部服务
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_OPTIONS = {
+    enabled: false,
+    scope: 'session',
+    topK: 3,
+    maxEntries: 500,
+    minScore: 1
+};
+
+// BM25 参数
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// 中日韩文字：假名、CJK 扩展 A、CJK 统一汉字、韩文音节
+const CJK_CHARS = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7af';
+const TERM_PATTERN = new RegExp(`[${CJK_CHARS}]+|[a-z0-9]+`, 'g');
+const CJK_PATTERN = new RegExp(`^[${CJK_CHARS}]`);
+
+export class MemoryManager {
+    constructor(dataDir, config = {}) {
+        this.config = config;
+        this.memoryFile = path.join(dataDir, 'memory.json');
+        // { nextId, scopes: { scopeKey: [entry, ...] } }
+        this.data = { nextId: 1, scopes: {} };
+        this.loadMemory();
+    }
+
+    loadMemory() {
+        try {
+            if (fs.existsSync(this.memoryFile)) {
+                this.data = { nextId: 1, scopes: {}, ...JSON.parse(fs.readFileSync(this.memoryFile, 'utf-8')) };
+            }
+        } catch (err) {
+            console.error('加载长期记忆失败:', err);
+        }
+    }
+
+    saveMemory() {
+        try {
+            const dir = path.dirname(this.memoryFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.memoryFile, JSON.stringify(this.data, null, 2));
+        } catch (err) {
+            console.error('保存长期记忆失败:', err);
+        }
+    }
+
+    /**
+     * 获取记忆配置（补全默认值）
+     */
+    getOptions() {
+        return { ...DEFAULT_OPTIONS, ...this.config.memory };
+    }
+
+    /**
+     * 记忆分组：memory.scope 为 user 时同一用户在各个会话中共享记忆，否则按会话分组
+     * 群聊共享会话（group_<群号>）中的对话属于整个群，始终按会话分组
+     * @param {string} sessionId - 会话ID
+     * @param {number} userId - 用户 QQ 号（未知时按会话分组）
+     * @returns {string}
+     */
+    getScopeKey(sessionId, userId) {
+        const sharedGroup = /^group_\d+$/.test(sessionId);
+        return this.getOptions().scope === 'user' && userId && !sharedGroup ? `user_${userId}` : sessionId;
+    }
+
+    /**
+     * 保存一轮对话
+     * @param {string} scopeKey - 记忆分组
+     * @param {Object} exchange
+     * @param {string} exchange.sessionId - 所在会话
+     * @param {string} exchange.user - 用户名
+     * @param {string} exchange.userText - 用户消息
+     * @param {string} exchange.character - 角色名
+     * @param {string} exchange.reply - 角色回复
+     * @returns {Object} 保存的记忆
+     */
+    add(scopeKey, { sessionId, user, userText, character, reply }) {
+        const entries = this.data.scopes[scopeKey] || [];
+        const entry = {
+            id: this.data.nextId++,
+            sessionId,
+            user,
+            userText,
+            character,
+            reply,
+            createdAt: Date.now()
+        };
+        entries.push(entry);
+        // 超出上限时丢弃最旧的记忆
+        this.data.scopes[scopeKey] = entries.slice(-this.getOptions().maxEntries);
+        this.saveMemory();
+        return entry;
+    }
+
+    /**
+     * 检索与查询文本最相关的记忆（BM25）
+     * @param {string} scopeKey - 记忆分组
+     * @param {string} query - 查询文本（通常是当前用户消息）
+     * @param {Object} options
+     * @param {number} options.topK - 最多返回条数
+     * @param {number} options.minScore - 最低相关度
+     * @param {Set<string>} options.exclude - 要排除的回复（仍在聊天历史中的对话不必再作为记忆插入）
+     * @returns {Array} 记忆数组，每条附带 score，按相关度降序
+     */
+    search(scopeKey, query, { topK, minScore, exclude = new Set() } = {}) {
+        const options = this.getOptions();
+        const entries = (this.data.scopes[scopeKey] || []).filter(e => !exclude.has(e.reply));
+        const queryTerms = [...new Set(tokenize(query))];
+        if (entries.length === 0 || queryTerms.length === 0) {
+            return [];
+        }
+
+        const docs = entries.map(entry => {
+            const terms = tokenize(`${entry.userText} ${entry.reply}`);
+            const tf = new Map();
+            for (const term of terms) {
+                tf.set(term, (tf.get(term) || 0) + 1);
+            }
+            return { entry, tf, length: terms.length };
+        });
+        const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / docs.length || 1;
+
+        const idf = new Map(queryTerms.map(term => {
+            const df = docs.filter(d => d.tf.has(term)).length;
+            return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+        }));
+
+        return docs
+            .map(({ entry, tf, length }) => {
+                let score = 0;
+                for (const term of queryTerms) {
+                    const freq = tf.get(term);
+                    if (!freq) continue;
+                    score += idf.get(term) * freq * (BM25_K1 + 1) /
+                        (freq + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+                }
+                return { ...entry, score };
+            })
+            .filter(e => e.score > 0 && e.score >= (minScore ?? options.minScore))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK ?? options.topK);
+    }
+
+    /**
+     * 获取所有记忆分组
+     * @returns {Array} [{ key, count, lastAddedAt }]，按最近保存时间降序
+     */
+    listScopes() {
+        return Object.entries(this.data.scopes)
+            .map(([key, entries]) => ({
+                key,
+                count: entries.length,
+                lastAddedAt: entries[entries.length - 1]?.createdAt || 0
+            }))
+            .sort((a, b) => b.lastAddedAt - a.lastAddedAt);
+    }
+
+    /**
+     * 获取分组中的所有记忆（最新的在前）
+     * @param {string} scopeKey - 记忆分组
+     */
+    listEntries(scopeKey) {
+        return [...(this.data.scopes[scopeKey] || [])].reverse();
+    }
+
+    /**
+     * 删除一条记忆
+     * @param {string} scopeKey - 记忆分组
+     * @param {number} id - 记忆ID
+     * @returns {boolean} 是否删除
+     */
+    deleteEntry(scopeKey, id) {
+        const entries = this.data.scopes[scopeKey] || [];
+        const index = entries.findIndex(e => e.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        entries.splice(index, 1);
+        if (entries.length === 0) {
+            delete this.data.scopes[scopeKey];
+        }
+        this.saveMemory();
+        return true;
+    }
+
+    /**
+     * 清空分组中的所有记忆
+     * @param {string} scopeKey - 记忆分组
+     */
+    clearScope(scopeKey) {
+        delete this.data.scopes[scopeKey];
+        this.saveMemory();
+    }
+}
+
+/**
+ * 切分检索词：中日韩文字取相邻两字（单字时取单字），其他按连续的字母数字切分，统一小写
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+    const terms = [];
+    for (const [run] of String(text || '').toLowerCase().matchAll(TERM_PATTERN)) {
+        if (!CJK_PATTERN.test(run) || run.length === 1) {
+            terms.push(run);
+        } else {
+            for (let i = 0; i < run.length - 1; i++) {
+                terms.push(run.slice(i, i + 2));
+            }
+        }
+    }
+    return terms;
+}
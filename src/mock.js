@@ -0,0 +1,168 @@
+/**
+ * 模拟 AI 接口
+ * 不发出网络请求，按配置返回固定回复或回显用户消息，用于离线调试角色卡、正则和世界书
+ * 返回 OpenAI /chat/completions 格式的 Response，由 AIClient 按 OpenAI 格式解析
+ */
+
+import { getTextContent } from './image.js';
+import { estimateTokens, estimateMessageTokens } from './tokenizer.js';
+
+const DEFAULT_REPLY = '[mock] {{input}}';
+const DEFAULT_CHUNK_SIZE = 8;
+const DEFAULT_CHUNK_DELAY = 50;
+// 模拟超时时的挂起时长（setTimeout 允许的最大值），实际由请求超时中止
+const HANG_MS = 2 ** 31 - 1;
+
+// 回复为数组时按顺序轮流返回，记录每条规则已返回的次数
+const replyCounters = new Map();
+
+/**
+ * 模拟一次请求
+ * @param {Object} mockConfig - 配置中的 mock 字段
+ * @param {Array} mockConfig.replies - 固定回复 [{ match: 正则, flags, reply: 文本或文本数组 }]，reply 中可用 $1 引用捕获组
+ * @param {string} mockConfig.defaultReply - 没有匹配时的回复，{{input}} 替换为用户消息，默认回显
+ * @param {Array} mockConfig.errors - 模拟错误 [{ match: 正则, status: HTTP 状态码 | 'timeout' | 'network', body, retryAfter }]
+ * @param {number|Array} mockConfig.latency - 响应前等待的毫秒数，或 [最小, 最大]
+ * @param {number} mockConfig.chunkSize - 流式输出时每个分块的字符数
+ * @param {number} mockConfig.chunkDelay - 流式输出时分块间隔（毫秒）
+ * @param {Object} init - fetch 参数 { body, signal }
+ * @returns {Promise<Response>}
+ */
+export async function mockFetch(mockConfig = {}, { body, signal }) {
+    const request = JSON.parse(body);
+    const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+    const input = lastUser ? getTextContent(lastUser.content) : '';
+
+    await wait(getLatency(mockConfig.latency), signal);
+
+    const error = (mockConfig.errors || []).find(rule => matchRule(rule, input));
+    if (error) {
+        return simulateError(error, signal);
+    }
+
+    const reply = pickReply(mockConfig, input);
+    const usage = {
+        prompt_tokens: request.messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0),
+        completion_tokens: estimateTokens(reply)
+    };
+
+    if (!request.stream) {
+        return Response.json({
+            id: 'mock',
+            model: request.model,
+            choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+            usage
+        });
+    }
+
+    return new Response(createStream(reply, usage, mockConfig, signal), {
+        headers: { 'Content-Type': 'text/event-stream' }
+    });
+}
+
+/**
+ * 选择回复：第一条匹配的规则，否则使用默认回复
+ */
+function pickReply(mockConfig, input) {
+    const rules = mockConfig.replies || [];
+    for (let i = 0; i < rules.length; i++) {
+        const match = matchRule(rules[i], input);
+        if (!match) continue;
+
+        let reply = rules[i].reply;
+        if (Array.isArray(reply)) {
+            const count = replyCounters.get(i) || 0;
+            replyCounters.set(i, count + 1);
+            reply = reply[count % reply.length];
+        }
+        return String(reply ?? '').replace(/\$(\d+)/g, (_, n) => match[n] ?? '');
+    }
+
+    return (mockConfig.defaultReply ?? DEFAULT_REPLY).replace(/\{\{input\}\}/g, input);
+}
+
+/**
+ * 规则匹配（未设置 match 时总是匹配）
+ * @returns {Array|null} 正则匹配结果
+ */
+function matchRule(rule, input) {
+    if (!rule.match) {
+        return [input];
+    }
+    return new RegExp(rule.match, rule.flags || '').exec(input);
+}
+
+/**
+ * 模拟错误：HTTP 错误返回对应状态码的响应，timeout 一直挂起直到请求被中止，network 模拟连接失败
+ */
+async function simulateError(rule, signal) {
+    if (rule.status === 'timeout') {
+        await wait(HANG_MS, signal);
+    }
+    if (rule.status === 'network') {
+        throw new TypeError('fetch failed', { cause: new Error('mock network error') });
+    }
+
+    const headers = rule.retryAfter !== undefined ? { 'Retry-After': String(rule.retryAfter) } : {};
+    return new Response(rule.body || JSON.stringify({ error: { message: `mock error ${rule.status}` } }), {
+        status: rule.status || 500,
+        headers
+    });
+}
+
+/**
+ * 按分块输出 OpenAI 格式的 SSE 流
+ */
+function createStream(reply, usage, mockConfig, signal) {
+    const encoder = new TextEncoder();
+    const chunkSize = mockConfig.chunkSize || DEFAULT_CHUNK_SIZE;
+    const chunkDelay = mockConfig.chunkDelay ?? DEFAULT_CHUNK_DELAY;
+    const send = (controller, data) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(data)}\n\n`));
+
+    return new ReadableStream({
+        async start(controller) {
+            try {
+                for (let i = 0; i < reply.length; i += chunkSize) {
+                    await wait(i === 0 ? 0 : chunkDelay, signal);
+                    send(controller, { choices: [{ index: 0, delta: { content: reply.slice(i, i + chunkSize) } }] });
+                }
+                send(controller, { choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+                send(controller, { choices: [], usage });
+                controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                controller.close();
+            } catch (error) {
+                controller.error(error);
+            }
+        }
+    });
+}
+
+function getLatency(latency) {
+    if (Array.isArray(latency)) {
+        const [min, max] = latency;
+        return min + Math.floor(Math.random() * (max - min + 1));
+    }
+    return latency || 0;
+}
+
+/**
+ * 可被中止的等待，中止时抛出 signal.reason（与 fetch 的行为一致）
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timer = setTimeout(done, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        function done() {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
@@ -0,0 +1,126 @@
+/**
+ * 用户设定模块
+ * 按 QQ 号保存用户设定（显示名、描述、代词），用于 {{user}} 宏和 Prompt 中的用户设定块
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// 群聊共享会话中，从最近多少条历史消息里找发言者
+const RECENT_SPEAKER_MESSAGES = 20;
+// 描述的最大长度
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+export class PersonaManager {
+    constructor(dataDir) {
+        this.personasFile = path.join(dataDir, 'personas.json');
+        // { userId: { name, description, pronouns, updatedAt } }
+        this.personas = {};
+        this.loadPersonas();
+    }
+
+    loadPersonas() {
+        try {
+            if (fs.existsSync(this.personasFile)) {
+                this.personas = JSON.parse(fs.readFileSync(this.personasFile, 'utf-8'));
+            }
+        } catch (err) {
+            console.error('加载用户设定失败:', err);
+        }
+    }
+
+    savePersonas() {
+        try {
+            const dir = path.dirname(this.personasFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.personasFile, JSON.stringify(this.personas, null, 2));
+        } catch (err) {
+            console.error('保存用户设定失败:', err);
+        }
+    }
+
+    /**
+     * 获取用户设定
+     * @param {number|string} userId - QQ 号
+     * @returns {Object|null} { userId, name, description, pronouns, updatedAt }
+     */
+    getPersona(userId) {
+        const persona = userId ? this.personas[String(userId)] : null;
+        return persona ? { userId: String(userId), ...persona } : null;
+    }
+
+    /**
+     * 设置用户设定（只更新传入的字段，空字符串表示清除该字段）
+     * @param {number|string} userId - QQ 号
+     * @param {Object} persona - { name, description, pronouns }
+     * @returns {Object} 更新后的用户设定
+     */
+    setPersona(userId, { name, description, pronouns }) {
+        if (!/^\d+$/.test(String(userId))) {
+            throw new Error(`QQ 号不合法: ${userId}`);
+        }
+        if (description !== undefined && String(description).length > MAX_DESCRIPTION_LENGTH) {
+            throw new Error(`描述不能超过 ${MAX_DESCRIPTION_LENGTH} 字`);
+        }
+
+        const current = this.personas[String(userId)] || {};
+        const updates = Object.fromEntries(
+            Object.entries({ name, description, pronouns })
+                .filter(([, value]) => value !== undefined)
+                .map(([key, value]) => [key, String(value).trim()])
+        );
+        this.personas[String(userId)] = { ...current, ...updates, updatedAt: Date.now() };
+        this.savePersonas();
+        return this.getPersona(userId);
+    }
+
+    /**
+     * 删除用户设定
+     * @param {number|string} userId - QQ 号
+     * @returns {boolean} 是否删除
+     */
+    deletePersona(userId) {
+        if (!this.personas[String(userId)]) {
+            return false;
+        }
+        delete this.personas[String(userId)];
+        this.savePersonas();
+        return true;
+    }
+
+    /**
+     * 获取所有用户设定（最近更新的在前）
+     */
+    listPersonas() {
+        return Object.keys(this.personas)
+            .map(userId => this.getPersona(userId))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * 获取本轮要放入 Prompt 的用户设定：当前用户在前，群聊共享会话中再加上最近发言者的设定
+     * 只返回填写了描述的设定；没有填写显示名的，name 为群名片等聊天中的名字
+     * @param {number|string} userId - 当前用户 QQ 号
+     * @param {string} userName - 当前用户在聊天中的名字
+     * @param {Array} history - 群聊共享会话的历史消息（消息的 userId 为发言者），其他会话传空数组
+     * @returns {Array<Object>}
+     */
+    getActivePersonas(userId, userName, history = []) {
+        // 发言者 QQ 号 → 聊天中的名字（设定中没有填写显示名时使用）
+        const speakers = new Map([[String(userId), userName || '']]);
+        for (const message of history.slice(-RECENT_SPEAKER_MESSAGES).reverse()) {
+            if (message.userId && !speakers.has(String(message.userId))) {
+                speakers.set(String(message.userId), message.name || '');
+            }
+        }
+
+        return Array.from(speakers)
+            .map(([id, name]) => {
+                const persona = this.getPersona(id);
+                return persona ? { ...persona, name: persona.name || name || id } : null;
+            })
+            .filter(persona => persona?.description);
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * Prompt 预设管理模块
+ * 仿照 SillyTavern 的 Prompt Manager：预设由可排序、可开关的块组成，
+ * 块可以是内置内容的占位（marker）或自定义文本，可指定角色和插入深度
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_PRESET_NAME = 'default';
+
+/**
+ * 内置块：由引擎在组装时填充内容
+ */
+export const PROMPT_MARKERS = {
+    time: '当前时间',
+    worldInfoBefore: '世界设定（角色定义前）',
+    charDescription: '角色描述',
+    charPersonality: '角色性格',
+    scenario: '场景',
+    personaDescription: '用户设定',
+    worldInfoAfter: '世界设定（角色定义后）',
+    dialogueExamples: '对话示例',
+    charSystemPrompt: '角色系统提示',
+    facts: '记住的事',
+    summary: '前情提要',
+    memory: '相关回忆',
+    groupChat: '群聊说明',
+    authorsNote: '作者注释',
+    chatHistory: '聊天历史',
+    postHistoryInstructions: '后续历史指令'
+};
+
+// 默认按深度插入聊天历史的内置块
+const DEFAULT_MARKER_DEPTHS = {
+    authorsNote: 4
+};
+
+/**
+ * 默认预设，与之前固定的组装顺序一致
+ */
+const DEFAULT_PRESET = {
+    blocks: [
+        { id: 'main', name: '主提示', enabled: false, role: 'system', content: '' },
+        ...Object.entries(PROMPT_MARKERS).map(([id, name]) => ({
+            id,
+            name,
+            enabled: true,
+            role: 'system',
+            marker: true,
+            injectionDepth: DEFAULT_MARKER_DEPTHS[id] ?? null
+        }))
+    ]
+};
+
+export class PresetManager {
+    constructor(dataDir, config = {}) {
+        this.config = config;
+        this.presetsDir = path.join(dataDir, 'presets');
+    }
+
+    /**
+     * 获取所有预设名称（包括未保存到磁盘的默认预设）
+     */
+    listPresets() {
+        const names = new Set([DEFAULT_PRESET_NAME]);
+        if (fs.existsSync(this.presetsDir)) {
+            for (const file of fs.readdirSync(this.presetsDir)) {
+                if (file.endsWith('.json')) {
+                    names.add(file.replace(/\.json$/, ''));
+                }
+            }
+        }
+        return Array.from(names);
+    }
+
+    /**
+     * 读取预设，不存在时返回默认预设
+     * @param {string} name - 预设名
+     */
+    getPreset(name = DEFAULT_PRESET_NAME) {
+        const filePath = this._getPath(name);
+        if (fs.existsSync(filePath)) {
+            try {
+                const preset = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+                return { ...preset, name, blocks: normalizeBlocks(preset.blocks) };
+            } catch (err) {
+                console.error(`读取预设失败: ${filePath}`, err);
+            }
+        }
+        return { name: DEFAULT_PRESET_NAME, blocks: normalizeBlocks(DEFAULT_PRESET.blocks) };
+    }
+
+    /**
+     * 获取角色使用的预设：角色设置的 preset > prompt.defaultPreset > default
+     * @param {Object} character - 角色数据
+     */
+    getPresetForCharacter(character) {
+        return this.getPreset(character?.preset || this.config.prompt?.defaultPreset || DEFAULT_PRESET_NAME);
+    }
+
+    /**
+     * 保存预设
+     * @param {string} name - 预设名
+     * @param {Object} preset - { blocks }
+     */
+    savePreset(name, preset) {
+        if (!Array.isArray(preset.blocks)) {
+            throw new Error('预设缺少 blocks 数组');
+        }
+
+        if (!fs.existsSync(this.presetsDir)) {
+            fs.mkdirSync(this.presetsDir, { recursive: true });
+        }
+
+        const data = { ...preset, blocks: normalizeBlocks(preset.blocks) };
+        delete data.name;
+        fs.writeFileSync(this._getPath(name), JSON.stringify(data, null, 2), 'utf-8');
+        return { ...data, name };
+    }
+
+    /**
+     * 删除预设（删除 default 即恢复为内置默认预设）
+     * @param {string} name - 预设名
+     */
+    deletePreset(name) {
+        const filePath = this._getPath(name);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`预设不存在: ${name}`);
+        }
+        fs.unlinkSync(filePath);
+    }
+
+    _getPath(name) {
+        if (!/^[^\\/:*?"<>|]+$/.test(name)) {
+            throw new Error(`预设名不合法: ${name}`);
+        }
+        return path.join(this.presetsDir, name + '.json');
+    }
+}
+
+/**
+ * 补全块的默认字段
+ * 缺少的内置块（如旧版本保存的预设中没有的）按默认预设中的位置补上
+ */
+function normalizeBlocks(blocks = []) {
+    const result = blocks.map((block, index) => {
+        const isMarker = Boolean(PROMPT_MARKERS[block.id]);
+        const normalized = {
+            id: block.id || `custom_${index}`,
+            name: block.name || PROMPT_MARKERS[block.id] || block.id,
+            enabled: block.enabled !== false,
+            role: ['system', 'user', 'assistant'].includes(block.role) ? block.role : 'system',
+            marker: isMarker,
+            injectionDepth: Number.isInteger(block.injectionDepth) && block.injectionDepth >= 0 ? block.injectionDepth : null
+        };
+        if (!isMarker) {
+            normalized.content = block.content || '';
+        }
+        // 聊天历史包含当前用户消息，不能关闭或移动到历史中
+        if (block.id === 'chatHistory') {
+            normalized.enabled = true;
+            normalized.injectionDepth = null;
+        }
+        return normalized;
+    });
+
+    DEFAULT_PRESET.blocks.forEach((block, index) => {
+        if (!block.marker || result.some(b => b.id === block.id)) return;
+
+        let insertAt = 0;
+        for (let i = index - 1; i >= 0; i--) {
+            const prev = result.findIndex(b => b.id === DEFAULT_PRESET.blocks[i].id);
+            if (prev !== -1) {
+                insertAt = prev + 1;
+                break;
+            }
+        }
+        result.splice(insertAt, 0, { ...block });
+    });
+
+    return result;
+}
@@ -3,100 +3,517 @@
  * 仿照 SillyTavern 的逻辑组装 Prompt
  */
 
+import { estimateTokens, estimateMessageTokens } from './tokenizer.js';
+import { getTextContent } from './image.js';
+import { WORLD_INFO_POSITION } from './worldbook.js';
+
+// 群聊共享会话时告诉模型这是多人对话（可通过 prompt.groupChatPrompt 修改）
+const DEFAULT_GROUP_CHAT_PROMPT = '【群聊】\n你正在 QQ 群里和多个人聊天，每条用户消息开头的「名字: 」是发言者的群名片或昵称，回复时注意区分是谁在说话。';
+
+// 世界书条目的插入位置对应的预设块（按深度插入的条目放在聊天历史中）
+const POSITION_BLOCKS = {
+    [WORLD_INFO_POSITION.BEFORE_CHAR]: 'worldInfoBefore',
+    [WORLD_INFO_POSITION.AFTER_CHAR]: 'worldInfoAfter',
+    [WORLD_INFO_POSITION.AN_TOP]: 'authorsNote',
+    [WORLD_INFO_POSITION.AN_BOTTOM]: 'authorsNote',
+    [WORLD_INFO_POSITION.AT_DEPTH]: 'chatHistory',
+    [WORLD_INFO_POSITION.BEFORE_EXAMPLES]: 'dialogueExamples',
+    [WORLD_INFO_POSITION.AFTER_EXAMPLES]: 'dialogueExamples'
+};
+
+// 世界书条目默认最多占上下文长度的 25%（与 SillyTavern 一致，可通过 worldInfo.budgetPercent 修改）
+const DEFAULT_WORLD_INFO_BUDGET_PERCENT = 25;
+
+// dropExamples 关闭时对话示例先于历史放入，但最多占固定内容之外剩余预算的一半，避免挤掉全部历史和世界书条目
+const EXAMPLES_BUDGET_RATIO = 0.5;
+
 export class PromptBuilder {
-    constructor(characterManager, worldBookManager) {
+    constructor(characterManager, worldBookManager, config = {}, presetManager, macroEngine, memoryManager = null) {
         this.characterManager = characterManager;
         this.worldBookManager = worldBookManager;
+        this.config = config;
+        this.presetManager = presetManager;
+        this.macroEngine = macroEngine;
+        this.memoryManager = memoryManager;
     }
 
     /**
      * 构建完整的 Prompt
+     * 按角色使用的预设中的块顺序组装；配置了 ai.contextSize 时按 token 预算组装：
+     * 先按优先级放入世界书条目，再从最新的历史消息开始填充，放不下的最旧历史消息会被丢弃
      * @param {string} characterName - 角色名
-     * @param {string} userMessage - 用户消息
+     * @param {string|Array} userMessage - 用户消息（带图片时为 OpenAI 格式的内容块数组）
      * @param {Array} historyMessages - 历史消息
      * @param {Set<string>} stickyKeys - 当前会话的粘性条目键集合
+     * @param {Object} context - 会话附加信息
+     * @param {Array<string>} context.facts - 通过 remember_fact 工具记住的事实
+     * @param {string} context.summary - 较早聊天历史的滚动总结
+     * @param {string} context.memoryKey - 长期记忆分组，启用长期记忆时检索其中与当前消息相关的记忆
+     * @param {string} context.user - 用户名，用于 {{user}}
+     * @param {Array<Object>} context.personas - 用户设定 { name, description, pronouns }，当前用户在前，群聊共享会话中包含最近发言者
+     * @param {number} context.lastMessageAt - 上一条消息的时间，用于 {{idle_duration}}
+     * @param {Object} context.authorsNote - 本轮要插入的会话作者注释 { text, depth, role }
+     * @param {boolean} context.groupChat - 是否为群聊共享会话：用户消息前加上发言者名字，并加入群聊说明
      */
-    async build(characterName, userMessage, historyMessages = [], stickyKeys = new Set()) {
-        // 读取角色数据
+    async build(characterName, userMessage, historyMessages = [], stickyKeys = new Set(), context = {}) {
+        // 读取角色数据和预设
         const character = this.characterManager.readFromPng(characterName);
-        
+        const preset = this.presetManager.getPresetForCharacter(character);
+
+        // 角色卡字段、预设块和世界书条目中的宏
+        const macroContext = {
+            char: character.name,
+            user: context.user || '用户',
+            lastMessage: getTextContent(userMessage),
+            lastMessageAt: context.lastMessageAt
+        };
+        const expand = (text) => this.macroEngine.expand(text, macroContext);
+        const description = expand(character.description);
+        const personality = expand(character.personality);
+        const scenario = expand(character.scenario);
+        const systemPrompt = expand(character.system_prompt);
+        const postHistoryInstructions = expand(getPostHistoryInstructions(character, this.config.prompt?.postHistoryInstructions));
+
         // 读取世界书：优先使用已选择的世界书，否则根据角色名查找
         let worldBook = this.worldBookManager.currentWorldBook;
         if (!worldBook) {
             worldBook = this.worldBookManager.readWorldBook(characterName);
         }
-        
-        // 用于世界书匹配的文本：历史消息 + 当前消息
-        const allText = historyMessages.map(m => m.content).join(' ') + ' ' + userMessage;
-        
+
+        // 用于世界书匹配的消息：当前消息在前，之后是从新到旧的历史，只扫描最近 scanDepth 条
+        const scanMessages = [
+            { role: 'user', text: getTextContent(userMessage) },
+            ...historyMessages.map(m => ({ role: m.role, text: getTextContent(m.content) })).reverse()
+        ];
+
         // 匹配世界书条目（传入粘性键）
-        const worldBookEntries = this.worldBookManager.matchEntries(worldBook, allText, 10, stickyKeys);
-        
-        // 构建系统提示
-        let systemPrompt = '';
-        
-        // 1. 添加当前时间
+        const worldInfo = this.config.worldInfo || {};
+        const matchedEntries = this.worldBookManager.matchEntries(worldBook, scanMessages, Infinity, stickyKeys, {
+            scanDepth: worldInfo.scanDepth,
+            includeAssistant: worldInfo.includeAssistant,
+            recursive: worldInfo.recursive,
+            maxRecursionSteps: worldInfo.maxRecursionSteps
+        });
+
+        // 记录了发言者的消息（群聊共享会话）在发给模型时加上名字
+        const namedHistory = historyMessages.map(m => m.name
+            ? { role: m.role, content: withSpeaker(m.content, m.name) }
+            : m);
+        const groupChatPrompt = context.groupChat
+            ? expand(this.config.prompt?.groupChatPrompt ?? DEFAULT_GROUP_CHAT_PROMPT)
+            : '';
+
+        // 与当前消息相关的长期记忆（仍在聊天历史中的对话不重复插入）
+        const memories = this.memoryManager?.getOptions().enabled && context.memoryKey
+            ? this.memoryManager.search(context.memoryKey, getTextContent(userMessage), {
+                exclude: new Set(historyMessages.filter(m => m.role === 'assistant').map(m => getTextContent(m.content)))
+            })
+            : [];
+
+        // 用户设定：描述中的 {{user}} 为设定对应的用户
+        const personas = (context.personas || []).map(persona => ({
+            ...persona,
+            description: this.macroEngine.expand(persona.description, { ...macroContext, user: persona.name })
+        }));
+
+        // 本轮要插入的会话作者注释（未到插入轮次时为空）
+        const authorsNote = context.authorsNote?.text ? context.authorsNote : null;
+
+        // 各内置块的内容（世界设定和聊天历史需要按预算计算，单独处理）
         const now = new Date();
-        const timeStr = now.toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
-        systemPrompt += `【当前时间】${timeStr}\n\n`;
-        
-        // 2. 添加世界书内容（position 较高的放前面）
-        if (worldBookEntries.length > 0) {
-            systemPrompt += '【世界设定】\n';
-            for (const entry of worldBookEntries) {
-                systemPrompt += entry.content + '\n\n';
+        const markerTexts = {
+            time: `【当前时间】${now.toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })}\n\n`,
+            charDescription: description ? `【角色描述】\n${description}\n\n` : '',
+            charPersonality: personality ? `【${character.name}的性格】\n${personality}\n\n` : '',
+            scenario: scenario ? `【场景】\n${scenario}\n\n` : '',
+            personaDescription: renderPersonas(personas, context.groupChat),
+            charSystemPrompt: systemPrompt ? systemPrompt + '\n\n' : '',
+            facts: context.facts?.length > 0 ? `【记住的事】\n${context.facts.map(f => `- ${f}`).join('\n')}\n\n` : '',
+            summary: context.summary ? `【前情提要】\n${context.summary}\n\n` : '',
+            memory: memories.length > 0 ? `【相关回忆】\n${memories.map(renderMemory).join('\n\n')}\n\n` : '',
+            groupChat: groupChatPrompt ? groupChatPrompt + '\n\n' : '',
+            authorsNote: authorsNote ? expand(authorsNote.text) + '\n\n' : '',
+            postHistoryInstructions: postHistoryInstructions ? postHistoryInstructions + '\n\n' : ''
+        };
+
+        // 会话设置了作者注释时，作者注释块使用注释自己的深度和角色
+        const blocks = preset.blocks
+            .filter(block => block.enabled)
+            .map(block => block.id === 'authorsNote' && authorsNote
+                ? { ...block, injectionDepth: authorsNote.depth, role: authorsNote.role }
+                : block);
+        const enabledIds = new Set(blocks.map(block => block.id));
+        const getBlockText = (block) => block.marker
+            ? markerTexts[block.id] || ''
+            : (block.content.trim() ? expand(block.content) + '\n\n' : '');
+
+        // 首条消息（如果是新会话）
+        const firstMessage = historyMessages.length === 0 && character.first_mes
+            ? { role: 'assistant', content: expand(character.first_mes) }
+            : null;
+        const userMsg = {
+            role: 'user',
+            content: context.groupChat ? withSpeaker(userMessage, macroContext.user) : userMessage
+        };
+
+        // 对话示例：system 模式渲染为文本块，messages 模式作为单独的 user/assistant 消息（按深度插入时总是使用文本块）
+        const examplesBlock = blocks.find(block => block.id === 'dialogueExamples');
+        const examples = examplesBlock
+            ? parseExamples(character.mes_example, character.name).map(example =>
+                example.map(m => ({ role: m.role, content: expand(m.content) })))
+            : [];
+        const examplesAsMessages = this.config.prompt?.exampleMode === 'messages' && examplesBlock?.injectionDepth === null;
+        const exampleTokens = (example) => examplesAsMessages
+            ? example.reduce((sum, m) => sum + estimateMessageTokens(m), 0)
+            : estimateTokens(renderExamples([example], character.name, macroContext.user));
+        // dropExamples 开启时示例排在历史之后，历史填满预算时被挤出；否则示例先于历史放入（见下方的预算上限）
+        const dropExamples = this.config.prompt?.dropExamples === true;
+        const includedExamples = [];
+        let examplesTokens = 0;
+
+        // 计算 token 预算：上下文长度减去为回复预留的 maxTokens
+        const contextSize = this.config.ai?.contextSize || 0;
+        const budget = contextSize > 0
+            ? contextSize - (this.config.ai?.maxTokens || 0)
+            : Infinity;
+
+        const staticText = blocks
+            .filter(block => block.id !== 'chatHistory')
+            .map(getBlockText)
+            .join('');
+        const baseSystemTokens = estimateMessageTokens({ content: staticText });
+        const fixedTokens = baseSystemTokens
+            + (firstMessage ? estimateMessageTokens(firstMessage) : 0)
+            + estimateMessageTokens(userMsg);
+        let remaining = budget - fixedTokens;
+
+        // 先放入的示例按顺序放入，超出示例预算时停止
+        if (!dropExamples) {
+            const examplesBudget = Math.max(0, remaining) * EXAMPLES_BUDGET_RATIO;
+            for (const example of examples) {
+                const tokens = exampleTokens(example);
+                if (examplesTokens + tokens > examplesBudget) break;
+                includedExamples.push(example);
+                examplesTokens += tokens;
             }
+            remaining -= examplesTokens;
         }
-        
-        // 3. 添加角色信息
-        if (character.description) {
-            systemPrompt += `【角色描述】\n${character.description}\n\n`;
+
+        // 世界书条目按优先级（matchEntries 已按 order 降序排列）放入，超出世界书预算或剩余预算的跳过；
+        // 条目插入位置对应的预设块被关闭时不放入该条目
+        const eligibleEntries = matchedEntries.filter(entry => enabledIds.has(POSITION_BLOCKS[entry.position]));
+        const worldBookBudget = getWorldBookBudget(worldInfo, contextSize);
+        const worldBookEntries = [];
+        let worldBookTokens = 0;
+        for (const matched of eligibleEntries) {
+            const entry = { ...matched, content: expand(matched.content) };
+            const tokens = estimateTokens(entry.content + '\n\n');
+            if (tokens > remaining || worldBookTokens + tokens > worldBookBudget) continue;
+            worldBookEntries.push(entry);
+            worldBookTokens += tokens;
+            remaining -= tokens;
         }
-        
-        if (character.personality) {
-            systemPrompt += `【${character.name}的性格】\n${character.personality}\n\n`;
+
+        // 按位置放入对应的块：角色定义前后各带标题，示例和作者注释的条目包在原内容前后
+        const entryText = (position) => worldBookEntries
+            .filter(e => e.position === position)
+            .map(e => e.content + '\n\n')
+            .join('');
+        const before = entryText(WORLD_INFO_POSITION.BEFORE_CHAR);
+        const after = entryText(WORLD_INFO_POSITION.AFTER_CHAR);
+        markerTexts.worldInfoBefore = before ? '【世界设定】\n' + before : '';
+        markerTexts.worldInfoAfter = after ? '【世界设定】\n' + after : '';
+        markerTexts.authorsNote = entryText(WORLD_INFO_POSITION.AN_TOP)
+            + (markerTexts.authorsNote || '')
+            + entryText(WORLD_INFO_POSITION.AN_BOTTOM);
+
+        // 历史消息从最新的开始放入，预算不足时丢弃更旧的消息
+        let historyStart = historyMessages.length;
+        let historyTokens = 0;
+        while (historyStart > 0) {
+            const tokens = estimateMessageTokens(namedHistory[historyStart - 1]);
+            if (tokens > remaining) break;
+            historyStart--;
+            historyTokens += tokens;
+            remaining -= tokens;
         }
-        
-        if (character.scenario) {
-            systemPrompt += `【场景】\n${character.scenario}\n\n`;
+        const history = namedHistory.slice(historyStart);
+
+        // 历史放完后剩余的预算按顺序放入示例，放不下时停止
+        if (dropExamples) {
+            for (const example of examples) {
+                const tokens = exampleTokens(example);
+                if (tokens > remaining) break;
+                includedExamples.push(example);
+                examplesTokens += tokens;
+                remaining -= tokens;
+            }
         }
-        
-        // 4. 添加系统提示（如果有）
-        if (character.system_prompt) {
-            systemPrompt += character.system_prompt + '\n\n';
+
+        // 示例前后的世界书条目包在示例外面
+        const examplesBefore = entryText(WORLD_INFO_POSITION.BEFORE_EXAMPLES);
+        const examplesAfter = entryText(WORLD_INFO_POSITION.AFTER_EXAMPLES);
+        markerTexts.dialogueExamples = examplesBefore
+            + (examplesAsMessages ? '' : renderExamples(includedExamples, character.name, macroContext.user))
+            + examplesAfter;
+
+        // 聊天历史：首条消息 + 历史 + 当前用户消息，再按深度插入设置了 injectionDepth 的块和 @depth 世界书条目
+        const chat = [...(firstMessage ? [firstMessage] : []), ...history, userMsg];
+        const injections = blocks
+            .filter(block => block.injectionDepth !== null && getBlockText(block))
+            .map(block => ({
+                depth: block.injectionDepth,
+                message: { role: block.role, content: getBlockText(block).trimEnd() }
+            }));
+        for (const entry of worldBookEntries) {
+            if (entry.position === WORLD_INFO_POSITION.AT_DEPTH) {
+                injections.push({ depth: entry.depth, message: { role: entry.role, content: entry.content } });
+            }
         }
-        
-        // 构建消息数组
-        const messages = [
-            { role: 'system', content: systemPrompt }
-        ];
-        
-        // 5. 添加首条消息（如果是新会话）
-        if (historyMessages.length === 0 && character.first_mes) {
-            messages.push({ role: 'assistant', content: character.first_mes });
+
+        // 按预设顺序组装消息，相邻的同角色块合并为一条
+        const messages = [];
+        let lastFromBlock = false;
+        const pushText = (role, text) => {
+            if (!text) return;
+            const last = messages[messages.length - 1];
+            if (lastFromBlock && last.role === role) {
+                last.content += text;
+            } else {
+                messages.push({ role, content: text });
+            }
+            lastFromBlock = true;
+        };
+        for (const block of blocks) {
+            if (block.id === 'chatHistory') {
+                messages.push(...injectAtDepth(chat, injections));
+                lastFromBlock = false;
+                continue;
+            }
+
+            if (block.id === 'dialogueExamples' && examplesAsMessages && includedExamples.length > 0) {
+                pushText(block.role, examplesBefore + '【对话示例】\n\n');
+                messages.push(...includedExamples.flat().map(m => ({ ...m })));
+                lastFromBlock = false;
+                pushText(block.role, '【对话示例结束】\n\n' + examplesAfter);
+                continue;
+            }
+
+            if (block.injectionDepth !== null) continue;
+            pushText(block.role, getBlockText(block));
         }
-        
-        // 6. 添加历史消息
-        for (const msg of historyMessages) {
-            messages.push(msg);
+        for (const msg of messages) {
+            if (typeof msg.content === 'string' && !chat.includes(msg)) {
+                msg.content = msg.content.trimEnd();
+            }
         }
-        
-        // 7. 添加当前用户消息
-        messages.push({ role: 'user', content: userMessage });
-        
+
+        // 各块的 token 估算：聊天历史包含按深度插入的世界书条目，按深度插入的块单独计算
+        const depthEntryTokens = worldBookEntries
+            .filter(e => e.position === WORLD_INFO_POSITION.AT_DEPTH)
+            .reduce((sum, e) => sum + estimateTokens(e.content), 0);
+        const blockTokens = blocks.map(block => ({
+            id: block.id,
+            name: block.name,
+            role: block.role,
+            injectionDepth: block.injectionDepth,
+            tokens: block.id === 'chatHistory'
+                ? chat.reduce((sum, m) => sum + estimateMessageTokens(m), 0) + depthEntryTokens
+                : estimateTokens(getBlockText(block)) + (block.id === 'dialogueExamples' && examplesAsMessages ? examplesTokens : 0)
+        }));
+
+        const tokenUsage = {
+            system: baseSystemTokens,
+            worldBook: worldBookTokens,
+            examples: examplesTokens,
+            firstMessage: firstMessage ? estimateMessageTokens(firstMessage) : 0,
+            history: historyTokens,
+            userMessage: estimateMessageTokens(userMsg),
+            total: fixedTokens + examplesTokens + worldBookTokens + historyTokens,
+            budget: Number.isFinite(budget) ? budget : null,
+            worldBookBudget: Number.isFinite(worldBookBudget) ? worldBookBudget : null,
+            droppedHistory: historyStart,
+            droppedWorldBook: eligibleEntries.length - worldBookEntries.length,
+            droppedExamples: examples.length - includedExamples.length
+        };
+
         return {
             messages,
             character,
+            preset: preset.name,
+            tokenUsage,
+            blockTokens,
             worldBookCount: worldBookEntries.length,
             worldBookKeys: worldBookEntries.map(e => e.key),
+            memories: memories.map(({ id, score, createdAt, userText, reply }) => ({ id, score, createdAt, userText, reply })),
             // 返回完整的条目信息，用于更新粘性状态
             worldBookEntries: worldBookEntries.map(e => ({
                 key: e.key,
+                keys: e.keys || [],
+                position: e.position,
+                isConstant: e.isConstant,
                 sticky: e.sticky || 0,
                 triggeredByKeyword: e.triggeredByKeyword,
                 triggeredBySticky: e.triggeredBySticky,
+                triggeredByRecursion: e.triggeredByRecursion || false,
                 comment: e.comment
             }))
         };
     }
 }
+
+/**
+ * 计算世界书条目可用的 token 数：worldInfo.budget（tokens）和 worldInfo.budgetPercent（上下文长度的百分比）取较小者
+ * 未配置 ai.contextSize 时百分比不生效；两者都不生效时不限
+ * @param {Object} worldInfo - worldInfo 配置
+ * @param {number} contextSize - 上下文长度
+ * @returns {number}
+ */
+function getWorldBookBudget(worldInfo, contextSize) {
+    const percent = worldInfo.budgetPercent ?? DEFAULT_WORLD_INFO_BUDGET_PERCENT;
+    const limits = [
+        worldInfo.budget > 0 ? worldInfo.budget : Infinity,
+        contextSize > 0 && percent > 0 ? Math.floor(contextSize * percent / 100) : Infinity
+    ];
+    return Math.min(...limits);
+}
+
+/**
+ * 渲染用户设定：私聊和个人会话只有当前用户，群聊共享会话列出各个发言者
+ * @param {Array} personas - [{ name, pronouns, description }]
+ * @param {boolean} groupChat - 是否为群聊共享会话
+ */
+function renderPersonas(personas, groupChat) {
+    if (personas.length === 0) {
+        return '';
+    }
+    if (!groupChat) {
+        const [{ name, pronouns, description }] = personas;
+        return `【${name}的设定】\n${description}${pronouns ? `\n（代词：${pronouns}）` : ''}\n\n`;
+    }
+    const lines = personas.map(p => `- ${p.name}${p.pronouns ? `（${p.pronouns}）` : ''}：${p.description}`);
+    return `【群成员设定】\n${lines.join('\n')}\n\n`;
+}
+
+/**
+ * 渲染一条长期记忆：日期加上当时的一问一答
+ * @param {Object} memory - MemoryManager.search 返回的记忆
+ */
+function renderMemory(memory) {
+    const date = new Date(memory.createdAt).toLocaleDateString('zh-CN', { timeZone: 'Asia/Shanghai' });
+    return `（${date}）\n${memory.user || '用户'}: ${memory.userText}\n${memory.character || 'AI'}: ${memory.reply}`;
+}
+
+/**
+ * 在消息内容前加上发言者名字；带图片的内容块数组加在第一个文本块前
+ * @param {string|Array} content - 消息内容
+ * @param {string} name - 发言者名字
+ */
+function withSpeaker(content, name) {
+    if (!Array.isArray(content)) {
+        return `${name}: ${content}`;
+    }
+
+    const index = content.findIndex(part => part.type === 'text');
+    if (index === -1) {
+        return [{ type: 'text', text: `${name}:` }, ...content];
+    }
+    return content.map((part, i) => i === index ? { ...part, text: `${name}: ${part.text}` } : part);
+}
+
+/**
+ * 获取后续历史指令：角色卡的 post_history_instructions（或旧版的 jailbreak）优先，为空时使用全局默认值
+ * 角色卡中的 {{original}} 会替换为全局默认值
+ * 在面板中保存过（覆盖层中有该字段）时，CharacterManager 已去掉旧版字段，保存为空即使用全局默认值
+ * @param {Object} character - 角色数据
+ * @param {string} defaultInstructions - prompt.postHistoryInstructions
+ */
+function getPostHistoryInstructions(character, defaultInstructions = '') {
+    // V2 角色卡常带有空的 post_history_instructions，空白字段视为未设置，继续查找旧字段
+    const cardInstructions = [
+        character.post_history_instructions,
+        character.data?.post_history_instructions,
+        character.jailbreak,
+        character.data?.extensions?.jailbreak
+    ].find(value => typeof value === 'string' && value.trim()) || '';
+
+    if (!cardInstructions) {
+        return defaultInstructions;
+    }
+    return cardInstructions.replace(/\{\{original\}\}/gi, defaultInstructions);
+}
+
+/**
+ * 按深度把消息插入聊天记录：深度 0 为最后一条消息之后，深度 1 为最后一条消息之前，以此类推，
+ * 超过聊天记录长度的插在最前面；同一深度的多条消息保持预设中的顺序
+ * @param {Array} chat - 聊天消息
+ * @param {Array} injections - [{ depth, message }]
+ */
+function injectAtDepth(chat, injections) {
+    if (injections.length === 0) {
+        return chat;
+    }
+
+    const result = [];
+    for (let i = 0; i <= chat.length; i++) {
+        for (const { depth, message } of injections) {
+            if (Math.max(0, chat.length - depth) === i) {
+                result.push(message);
+            }
+        }
+        if (i < chat.length) {
+            result.push(chat[i]);
+        }
+    }
+    return result;
+}
+
+/**
+ * 解析角色卡的 mes_example：以 <START> 分隔的多段示例对话
+ * 以 {{user}}: / {{char}}: （或旧格式 <USER>: / <BOT>: 、角色名:）开头的行开始一条消息，其余行接在上一条后面；
+ * 一段中没有可识别的说话人时整段作为 system 文本保留
+ * @param {string} text - mes_example
+ * @param {string} charName - 角色名
+ * @returns {Array<Array<{ role: string, content: string }>>}
+ */
+function parseExamples(text, charName = '') {
+    if (!text || !text.trim()) {
+        return [];
+    }
+
+    const escapedName = charName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const speaker = new RegExp(`^\\s*(\\{\\{user\\}\\}|<USER>|\\{\\{char\\}\\}|<BOT>${escapedName ? '|' + escapedName : ''})\\s*[:：]\\s?(.*)$`, 'i');
+
+    return text.split(/<START>/i).map(section => {
+        const messages = [];
+        for (const line of section.split(/\r?\n/)) {
+            const match = speaker.exec(line);
+            if (match) {
+                const isUser = /^(\{\{user\}\}|<USER>)$/i.test(match[1]);
+                messages.push({ role: isUser ? 'user' : 'assistant', content: match[2] });
+            } else if (messages.length > 0) {
+                messages[messages.length - 1].content += '\n' + line;
+            } else if (line.trim()) {
+                messages.push({ role: 'system', content: line });
+            }
+        }
+        return messages
+            .map(m => ({ ...m, content: m.content.trim() }))
+            .filter(m => m.content);
+    }).filter(messages => messages.length > 0);
+}
+
+/**
+ * 把示例渲染为文本块，每段示例以 <START> 开头
+ */
+function renderExamples(examples, charName, userName) {
+    if (examples.length === 0) {
+        return '';
+    }
+
+    const speakerName = { user: userName, assistant: charName };
+    const sections = examples.map(example => '<START>\n' + example
+        .map(m => speakerName[m.role] ? `${speakerName[m.role]}: ${m.content}` : m.content)
+        .join('\n'));
+    return '【对话示例】\n' + sections.join('\n\n') + '\n\n';
+}
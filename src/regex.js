@@ -6,8 +6,12 @@
 import logger from './logger.js';
 
 export class RegexProcessor {
-    constructor() {
+    /**
+     * @param {MacroEngine} macroEngine - 用于展开替换文本中的宏（可选）
+     */
+    constructor(macroEngine = null) {
         this.rules = [];
+        this.macroEngine = macroEngine;
     }
 
     /**
@@ -53,6 +57,7 @@ export class RegexProcessor {
             pattern: rule.pattern.source,
             flags: rule.pattern.flags,
             replacement: rule.replacement,
+            stage: rule.stage || 'output',
             enabled: rule.enabled !== false,
             description: rule.description || ''
         }));
@@ -62,9 +67,10 @@ export class RegexProcessor {
      * 处理文本
      * @param {string} text - 输入文本
      * @param {string} stage - 处理阶段 ('input' | 'output')
+     * @param {Object} macroContext - 替换文本中宏的上下文（{{char}}、{{user}} 等）
      * @returns {string} 处理后的文本
      */
-    process(text, stage = 'output') {
+    process(text, stage = 'output', macroContext = {}) {
         if (!text || this.rules.length === 0) {
             return text;
         }
@@ -78,8 +84,8 @@ export class RegexProcessor {
                 continue;
             }
 
-            // 检查处理阶段
-            if (rule.stage && rule.stage !== stage) {
+            // 检查处理阶段（未设置时为 output）
+            if ((rule.stage || 'output') !== stage) {
                 continue;
             }
 
@@ -88,7 +94,10 @@ export class RegexProcessor {
                 rule.pattern.lastIndex = 0;
                 
                 const before = result;
-                result = result.replace(rule.pattern, rule.replacement || '');
+                const replacement = this.macroEngine
+                    ? this.macroEngine.expand(rule.replacement || '', macroContext)
+                    : rule.replacement || '';
+                result = result.replace(rule.pattern, replacement);
                 
                 if (before !== result) {
                     appliedRules.push(rule.name || rule.pattern.source);
@@ -108,19 +117,21 @@ export class RegexProcessor {
     /**
      * 处理输入文本（用户消息）
      * @param {string} text - 输入文本
+     * @param {Object} macroContext - 宏上下文
      * @returns {string} 处理后的文本
      */
-    processInput(text) {
-        return this.process(text, 'input');
+    processInput(text, macroContext) {
+        return this.process(text, 'input', macroContext);
     }
 
     /**
      * 处理输出文本（AI 回复）
      * @param {string} text - 输出文本
+     * @param {Object} macroContext - 宏上下文
      * @returns {string} 处理后的文本
      */
-    processOutput(text) {
-        return this.process(text, 'output');
+    processOutput(text, macroContext) {
+        return this.process(text, 'output', macroContext);
     }
 
     /**
@@ -8,17 +8,69 @@ import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import multer from 'multer';
+import { PROMPT_MARKERS, DEFAULT_PRESET_NAME } from './preset.js';
+import { reportKeyErrors } from './worldbook.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * 隐藏各 AI 配置中的 API Key
+ */
+function maskProfileKeys(profiles) {
+    if (!profiles) return profiles;
+    const masked = {};
+    for (const [name, profile] of Object.entries(profiles)) {
+        masked[name] = { ...profile, apiKey: profile.apiKey ? '******' : '' };
+    }
+    return masked;
+}
+
+/**
+ * 还原提交的配置中被隐藏的 API Key
+ */
+function restoreProfileKeys(profiles, currentProfiles = {}) {
+    const restored = {};
+    for (const [name, profile] of Object.entries(profiles)) {
+        restored[name] = profile.apiKey === '******'
+            ? { ...profile, apiKey: currentProfiles?.[name]?.apiKey || '' }
+            : profile;
+    }
+    return restored;
+}
+
+/**
+ * 是否为普通对象（不包括数组和 null）
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 创建用于测试的机器人：不连接 QQ，只记录要发送的消息
+ */
+function createCaptureBot(selfId) {
+    const sent = [];
+    const capture = (type) => async (target, content) => {
+        sent.push({ type, content });
+    };
+    return {
+        selfId,
+        sent,
+        sendGroupMessage: capture('text'),
+        sendPrivateMessage: capture('text'),
+        sendGroupRecord: capture('record'),
+        sendPrivateRecord: capture('record')
+    };
+}
+
 /**
  * 设置路由
  * @param {express.Application} app - Express 应用
  * @param {Object} deps - 依赖注入
  */
 export function setupRoutes(app, deps) {
-    const { config, saveConfig, characterManager, worldBookManager, sessionManager, regexProcessor, aiClient, promptBuilder, logger, bot, ttsManager, VOICE_TYPES } = deps;
+    const { config, saveConfig, characterManager, worldBookManager, sessionManager, regexProcessor, aiClient, promptBuilder, presetManager, logger, bot, ttsManager, usageTracker, toolRegistry, summarizer, memoryManager, personaManager, handleMessage, buildPrompt, VOICE_TYPES } = deps;
 
     // ==================== 认证中间件 ====================
     
@@ -125,7 +177,8 @@ export function setupRoutes(app, deps) {
             ...config,
             ai: {
                 ...config.ai,
-                apiKey: config.ai.apiKey ? '******' : ''
+                apiKey: config.ai.apiKey ? '******' : '',
+                profiles: maskProfileKeys(config.ai.profiles)
             }
         };
         res.json(safeConfig);
@@ -136,8 +189,25 @@ export function setupRoutes(app, deps) {
         try {
             const newConfig = req.body;
             
-            // 合并配置（保留未提供的字段）
-            Object.assign(config, newConfig);
+            // AI 配置按字段合并，保留面板未编辑的字段（如 profiles、chain），并忽略被隐藏的 API Key
+            if (newConfig.ai) {
+                const ai = { ...newConfig.ai };
+                if (ai.apiKey === '******') {
+                    delete ai.apiKey;
+                }
+                if (ai.profiles) {
+                    ai.profiles = restoreProfileKeys(ai.profiles, config.ai.profiles);
+                }
+                newConfig.ai = { ...config.ai, ...ai };
+            }
+            
+            // 合并配置（保留未提供的字段）：chat、onebot 等配置段同样按字段合并，
+            // 面板只提交其中部分字段，整体替换会丢掉 adminUsers、groupSessionMode 等面板没有的设置
+            for (const [key, value] of Object.entries(newConfig)) {
+                config[key] = isPlainObject(value) && isPlainObject(config[key])
+                    ? { ...config[key], ...value }
+                    : value;
+            }
             
             // 如果AI配置更新了，同步更新aiClient
             if (newConfig.ai) {
@@ -155,6 +225,38 @@ export function setupRoutes(app, deps) {
         }
     });
 
+    // ==================== AI 配置链 ====================
+
+    // 获取 AI 配置列表及健康状态（需要认证）
+    app.get('/api/ai/profiles', requireAuth, (req, res) => {
+        res.json(aiClient.getProfileStatus());
+    });
+
+    // 调整配置链顺序（需要认证）
+    app.post('/api/ai/chain', requireAuth, (req, res) => {
+        try {
+            const { chain } = req.body;
+            const profiles = config.ai.profiles || {};
+            
+            if (!Array.isArray(chain) || chain.length === 0) {
+                return res.status(400).json({ success: false, error: '请提供至少包含一个配置的 chain 数组' });
+            }
+            const unknown = chain.filter(name => !profiles[name]);
+            if (unknown.length > 0) {
+                return res.status(400).json({ success: false, error: `未知的配置: ${unknown.join(', ')}` });
+            }
+            
+            config.ai.chain = chain;
+            saveConfig(config);
+            
+            logger.info(`AI 配置链已更新: ${chain.join(' → ')}`);
+            res.json({ success: true, message: '配置链已保存', chain });
+        } catch (error) {
+            logger.error('更新配置链失败', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
     // ==================== 角色卡管理 ====================
 
     // 获取角色列表（需要认证）
@@ -411,15 +513,16 @@ export function setupRoutes(app, deps) {
             // 清除缓存，强制重新加载
             worldBookManager.clearCache();
             
-            // 如果当前加载的是这个世界书，重新加载
+            // 如果当前加载的是这个世界书，重新加载（加载时会检查关键词）
+            // 无效的正则关键词不会阻止保存，但要提示出来
             const currentWorldBook = worldBookManager.getCurrentWorldBook();
             const currentFilename = currentWorldBook ? currentWorldBook.name + '.json' : null;
-            if (currentFilename === filename) {
-                await worldBookManager.loadWorldBook(filename);
-            }
-            
+            const keyErrors = currentFilename === filename
+                ? worldBookManager.loadWorldBook(filename).keyErrors
+                : reportKeyErrors(filename, worldbook);
+
             logger.info(`世界书已保存: ${filename}`);
-            res.json({ success: true, message: '世界书已保存' });
+            res.json({ success: true, message: '世界书已保存', keyErrors });
         } catch (error) {
             logger.error('保存世界书失败', error);
             res.status(500).json({ success: false, error: error.message });
@@ -481,6 +584,89 @@ export function setupRoutes(app, deps) {
         }
     });
 
+    // ==================== Prompt 预设 ====================
+
+    // 获取预设列表和内置块（需要认证）
+    app.get('/api/presets', requireAuth, (req, res) => {
+        res.json({
+            presets: presetManager.listPresets(),
+            defaultPreset: config.prompt?.defaultPreset || DEFAULT_PRESET_NAME,
+            markers: PROMPT_MARKERS
+        });
+    });
+
+    // 获取预设内容（需要认证）
+    app.get('/api/presets/:name', requireAuth, (req, res) => {
+        try {
+            res.json({ success: true, preset: presetManager.getPreset(req.params.name) });
+        } catch (error) {
+            logger.error('获取预设失败', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // 保存预设（需要认证）
+    app.post('/api/presets/:name', requireAuth, (req, res) => {
+        try {
+            const preset = presetManager.savePreset(req.params.name, req.body);
+            logger.info(`预设已保存: ${req.params.name}`);
+            res.json({ success: true, message: '预设已保存', preset });
+        } catch (error) {
+            logger.error('保存预设失败', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // 删除预设（需要认证）
+    app.delete('/api/presets/:name', requireAuth, (req, res) => {
+        try {
+            presetManager.deletePreset(req.params.name);
+            logger.info(`预设已删除: ${req.params.name}`);
+            res.json({ success: true, message: '预设已删除' });
+        } catch (error) {
+            logger.error('删除预设失败', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // 预览某个会话收到一条消息时发给模型的 Prompt（需要认证）
+    // 与实际处理消息的流程相同，但不调用模型，也不修改会话（粘性条目、历史等）
+    app.post('/api/prompt/preview', requireAuth, async (req, res) => {
+        try {
+            const { sessionId, message = '' } = req.body;
+            if (!sessionId) {
+                return res.status(400).json({ success: false, error: '缺少 sessionId' });
+            }
+
+            // group_<群号> 形式的会话是群聊共享会话；私聊和群内个人会话的 ID 以用户 QQ 号结尾
+            const groupChat = /^group_\d+$/.test(sessionId);
+            const userId = req.body.userId || sessionId.match(/^(?:private|group_\d+)_(\d+)$/)?.[1];
+            const userName = req.body.userName || personaManager.getPersona(userId)?.name || '用户';
+            const result = await buildPrompt(sessionId, message, { userName, userId, groupChat });
+
+            res.json({
+                success: true,
+                sessionId,
+                preset: result.preset,
+                input: message,
+                processedInput: result.processedText,
+                messages: result.messages,
+                worldBookEntries: result.worldBookEntries.map(entry => ({
+                    ...entry,
+                    reason: entry.isConstant ? 'constant'
+                        : entry.triggeredByKeyword ? 'keyword'
+                            : entry.triggeredByRecursion ? 'recursion' : 'sticky'
+                })),
+                memories: result.memories,
+                blockTokens: result.blockTokens,
+                tokenUsage: result.tokenUsage
+            });
+        } catch (error) {
+            logger.error('预览 Prompt 失败', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
     // ==================== 会话管理 ====================
 
     // 获取所有会话（需要认证）
@@ -515,6 +701,84 @@ export function setupRoutes(app, deps) {
         res.json({ success: true, message: '会话历史已清除' });
     });
 
+    // 停止会话中正在进行的生成（需要认证）
+    app.post('/api/sessions/:sessionId/stop', requireAuth, (req, res) => {
+        const { sessionId } = req.params;
+        if (sessionManager.cancelGeneration(sessionId)) {
+            logger.info(`已通过 Web 面板停止生成 [${sessionId}]`);
+            res.json({ success: true, message: '已停止生成' });
+        } else {
+            res.json({ success: false, error: '该会话没有正在进行的生成' });
+        }
+    });
+
+    // 获取会话的作者注释（需要认证）
+    app.get('/api/sessions/:sessionId/authors-note', requireAuth, (req, res) => {
+        const { sessionId } = req.params;
+        res.json({ success: true, authorsNote: sessionManager.getAuthorsNote(sessionId) });
+    });
+
+    // 设置会话的作者注释（需要认证）
+    app.post('/api/sessions/:sessionId/authors-note', requireAuth, (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { text, depth, role, interval } = req.body;
+            const authorsNote = sessionManager.setAuthorsNote(sessionId, { text, depth, role, interval });
+            logger.info(`作者注释已更新 [${sessionId}]`);
+            res.json({ success: true, authorsNote });
+        } catch (error) {
+            logger.error('设置作者注释失败', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // 清除会话的作者注释（需要认证）
+    app.delete('/api/sessions/:sessionId/authors-note', requireAuth, (req, res) => {
+        const { sessionId } = req.params;
+        sessionManager.clearAuthorsNote(sessionId);
+        res.json({ success: true, message: '作者注释已清除' });
+    });
+
+    // 获取会话的前情提要（需要认证）
+    app.get('/api/sessions/:sessionId/summary', requireAuth, (req, res) => {
+        const { sessionId } = req.params;
+        res.json({
+            success: true,
+            summary: sessionManager.getSummary(sessionId),
+            summarizedCount: sessionManager.peekSession(sessionId)?.summarizedCount || 0
+        });
+    });
+
+    // 修改会话的前情提要，为空时清除（需要认证）
+    app.post('/api/sessions/:sessionId/summary', requireAuth, (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const summary = String(req.body.summary ?? '').trim();
+            sessionManager.setSummary(sessionId, summary);
+            logger.info(`前情提要已${summary ? '更新' : '清除'} [${sessionId}]`);
+            res.json({ success: true, summary });
+        } catch (error) {
+            logger.error('设置前情提要失败', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // 立即总结会话中最早的一段历史（需要认证）
+    app.post('/api/sessions/:sessionId/summarize', requireAuth, async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const character = characterManager.readFromPng(config.chat.defaultCharacter);
+            const summary = await summarizer.maybeSummarize(sessionId, { characterName: character.name, force: true });
+            if (summary === null) {
+                return res.json({ success: false, error: '历史消息太少或正在总结中' });
+            }
+            res.json({ success: true, summary });
+        } catch (error) {
+            logger.error('总结历史失败', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
     // 删除会话（需要认证）
     app.delete('/api/sessions/:sessionId', requireAuth, (req, res) => {
         const { sessionId } = req.params;
@@ -522,6 +786,78 @@ export function setupRoutes(app, deps) {
         res.json({ success: true, message: '会话已删除' });
     });
 
+    // ==================== 长期记忆 ====================
+
+    // 获取所有记忆分组（需要认证）
+    app.get('/api/memory', requireAuth, (req, res) => {
+        const options = memoryManager.getOptions();
+        res.json({
+            success: true,
+            enabled: options.enabled,
+            scope: options.scope,
+            scopes: memoryManager.listScopes()
+        });
+    });
+
+    // 获取分组中的记忆，带 q 参数时返回按相关度排序的检索结果（需要认证）
+    app.get('/api/memory/:scopeKey', requireAuth, (req, res) => {
+        const { scopeKey } = req.params;
+        const { q } = req.query;
+        const entries = q
+            ? memoryManager.search(scopeKey, q, { topK: parseInt(req.query.limit) || 20, minScore: 0 })
+            : memoryManager.listEntries(scopeKey);
+        res.json({ success: true, scopeKey, entries });
+    });
+
+    // 删除一条记忆（需要认证）
+    app.delete('/api/memory/:scopeKey/:id', requireAuth, (req, res) => {
+        const { scopeKey, id } = req.params;
+        if (memoryManager.deleteEntry(scopeKey, parseInt(id))) {
+            res.json({ success: true, message: '记忆已删除' });
+        } else {
+            res.status(404).json({ success: false, error: '记忆不存在' });
+        }
+    });
+
+    // 清空分组中的所有记忆（需要认证）
+    app.delete('/api/memory/:scopeKey', requireAuth, (req, res) => {
+        const { scopeKey } = req.params;
+        memoryManager.clearScope(scopeKey);
+        logger.info(`长期记忆已清空 [${scopeKey}]`);
+        res.json({ success: true, message: '记忆已清空' });
+    });
+
+    // ==================== 用户设定 ====================
+
+    // 获取所有用户设定（需要认证）
+    app.get('/api/personas', requireAuth, (req, res) => {
+        res.json({ success: true, personas: personaManager.listPersonas() });
+    });
+
+    // 设置用户设定（需要认证）
+    app.post('/api/personas/:userId', requireAuth, (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { name, description, pronouns } = req.body;
+            const persona = personaManager.setPersona(userId, { name, description, pronouns });
+            logger.info(`用户设定已更新 [${userId}]`);
+            res.json({ success: true, persona });
+        } catch (error) {
+            logger.error('设置用户设定失败', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // 删除用户设定（需要认证）
+    app.delete('/api/personas/:userId', requireAuth, (req, res) => {
+        const { userId } = req.params;
+        if (personaManager.deletePersona(userId)) {
+            res.json({ success: true, message: '用户设定已删除' });
+        } else {
+            res.status(404).json({ success: false, error: '用户设定不存在' });
+        }
+    });
+
     // ==================== 正则规则管理 ====================
 
     // 获取正则规则（需要认证）
@@ -564,12 +900,31 @@ export function setupRoutes(app, deps) {
     // ==================== 测试功能 ====================
 
     // 测试 AI 调用（需要认证）
+    // profile: 只使用指定的配置（如 mock）；pipeline: 模拟一条私聊消息走完整的消息处理流程，返回机器人发出的消息
     app.post('/api/test/ai', requireAuth, async (req, res) => {
         try {
-            const { message } = req.body;
+            const { message, profile, pipeline, userId = 10000 } = req.body;
+
+            if (pipeline) {
+                const captureBot = createCaptureBot(bot.selfId);
+                const event = {
+                    post_type: 'message',
+                    message_type: 'private',
+                    user_id: Number(userId),
+                    raw_message: message,
+                    message: [{ type: 'text', data: { text: message } }]
+                };
+                await handleMessage(event, captureBot, { profile });
+                return res.json({
+                    success: true,
+                    response: captureBot.sent.map(m => m.type === 'record' ? `[语音] ${m.content}` : m.content).join('\n'),
+                    sent: captureBot.sent
+                });
+            }
+
             const response = await aiClient.chat([
                 { role: 'user', content: message }
-            ]);
+            ], { profile });
             res.json({ success: true, response });
         } catch (error) {
             logger.error('测试 AI 调用失败', error);
@@ -577,6 +932,32 @@ export function setupRoutes(app, deps) {
         }
     });
 
+    // ==================== 用量统计 ====================
+
+    // 获取用量汇总（需要认证）
+    app.get('/api/usage', requireAuth, (req, res) => {
+        const limit = parseInt(req.query.limit) || 20;
+        res.json(usageTracker.getSummary(limit));
+    });
+
+    // 清空用量统计（需要认证）
+    app.delete('/api/usage', requireAuth, (req, res) => {
+        usageTracker.reset();
+        logger.info('用量统计已清空');
+        res.json({ success: true, message: '用量统计已清空' });
+    });
+
+    // ==================== 工具调用 ====================
+
+    // 获取已注册的工具列表（需要认证）
+    app.get('/api/tools', requireAuth, (req, res) => {
+        res.json({
+            enabled: config.tools?.enabled === true,
+            maxIterations: config.tools?.maxIterations ?? 5,
+            tools: toolRegistry.listTools()
+        });
+    });
+
     // ==================== 日志 ====================
 
     // 获取最近日志（需要认证）
@@ -4,11 +4,16 @@
 
 import fs from 'fs';
 import path from 'path';
+import { hasImages, getTextContent } from './image.js';
+
+const AUTHORS_NOTE_ROLES = ['system', 'user', 'assistant'];
 
 export class SessionManager {
     constructor(maxHistoryLength = 50) {
         this.sessions = new Map();
         this.maxHistoryLength = maxHistoryLength;
+        // 正在进行的生成：Map<sessionId, Set<AbortController>>（不持久化，群聊共享会话中可能同时有多个）
+        this.generations = new Map();
         this.cacheFile = path.join(process.cwd(), 'data', 'chats', 'sessions.json');
         this.loadSessions();
     }
@@ -74,12 +79,26 @@ export class SessionManager {
         return session;
     }
 
+    /**
+     * 读取会话，不存在时返回 null（不会创建会话或更新活跃时间，用于只读的查询）
+     * @param {string} sessionId - 会话ID
+     */
+    peekSession(sessionId) {
+        return this.sessions.get(sessionId) || null;
+    }
+
     /**
      * 添加消息到会话
+     * @param {string} name - 发言者名字（群聊共享会话中的用户消息）
+     * @param {number} userId - 发言者 QQ 号（同上，用于查找最近发言者的用户设定）
      */
-    addMessage(sessionId, role, content) {
+    addMessage(sessionId, role, content, name, userId) {
         const session = this.getSession(sessionId);
-        session.messages.push({ role, content });
+        session.messages.push(name ? { role, content, name, ...(userId ? { userId } : {}) } : { role, content });
+        session.lastMessageAt = Date.now();
+        if (role === 'user') {
+            session.userTurns = (session.userTurns || 0) + 1;
+        }
 
         // 限制历史长度
         if (session.messages.length > this.maxHistoryLength) {
@@ -89,6 +108,33 @@ export class SessionManager {
         this.saveSessions();
     }
 
+    /**
+     * 只保留最近 limit 条历史消息中的图片，更早的图片替换为占位文本
+     * @param {string} sessionId - 会话ID
+     * @param {number} limit - 保留图片的消息条数
+     */
+    limitHistoryImages(sessionId, limit) {
+        const session = this.getSession(sessionId);
+        // 原地替换消息内容，不创建新的消息对象（applySummary 按对象识别要移除的消息）
+        let kept = 0;
+        let changed = false;
+        for (let i = session.messages.length - 1; i >= 0; i--) {
+            const msg = session.messages[i];
+            if (!hasImages(msg.content)) {
+                continue;
+            }
+            if (kept < limit) {
+                kept++;
+            } else {
+                msg.content = getTextContent(msg.content);
+                changed = true;
+            }
+        }
+        if (changed) {
+            this.saveSessions();
+        }
+    }
+
     /**
      * 清除会话
      */
@@ -117,6 +163,10 @@ export class SessionManager {
         const session = this.getSession(sessionId);
         session.messages = [];
         session.stickyEntries = new Map();
+        session.facts = [];
+        session.userTurns = 0;
+        delete session.summary;
+        delete session.summarizedCount;
         this.saveSessions();
     }
 
@@ -129,6 +179,9 @@ export class SessionManager {
             list.push({
                 id,
                 messageCount: session.messages.length,
+                generating: this.generations.has(id),
+                hasAuthorsNote: Boolean(session.authorsNote?.text),
+                hasSummary: Boolean(session.summary),
                 createdAt: session.createdAt,
                 lastActive: session.lastActive
             });
@@ -182,7 +235,196 @@ export class SessionManager {
      * @returns {Set<string>} 粘性条目的键集合
      */
     getStickyEntryKeys(sessionId) {
+        const session = this.peekSession(sessionId);
+        return new Set(session?.stickyEntries?.keys() ?? []);
+    }
+
+    /**
+     * 记录一条事实（由 remember_fact 工具写入，之后每轮都会注入 Prompt）
+     * @param {string} sessionId - 会话ID
+     * @param {string} fact - 事实
+     * @param {number} maxFacts - 最多保留条数，超出时丢弃最旧的
+     */
+    addFact(sessionId, fact, maxFacts = 20) {
+        const session = this.getSession(sessionId);
+        if (!session.facts) {
+            session.facts = [];
+        }
+
+        if (!session.facts.includes(fact)) {
+            session.facts.push(fact);
+            session.facts = session.facts.slice(-maxFacts);
+            this.saveSessions();
+        }
+    }
+
+    /**
+     * 获取会话中记住的事实
+     * @param {string} sessionId - 会话ID
+     * @returns {Array<string>}
+     */
+    getFacts(sessionId) {
+        return this.peekSession(sessionId)?.facts || [];
+    }
+
+    /**
+     * 设置会话的作者注释（只更新传入的字段）
+     * @param {string} sessionId - 会话ID
+     * @param {Object} note - { text, depth, role, interval }
+     * @returns {Object} 更新后的作者注释
+     */
+    setAuthorsNote(sessionId, note) {
+        const session = this.getSession(sessionId);
+        const updates = Object.fromEntries(Object.entries(note).filter(([, value]) => value !== undefined));
+        session.authorsNote = normalizeAuthorsNote({ ...session.authorsNote, ...updates });
+        this.saveSessions();
+        return session.authorsNote;
+    }
+
+    /**
+     * 获取会话的作者注释
+     * @param {string} sessionId - 会话ID
+     * @returns {Object|null} { text, depth, role, interval }
+     */
+    getAuthorsNote(sessionId) {
+        return this.peekSession(sessionId)?.authorsNote || null;
+    }
+
+    /**
+     * 清除会话的作者注释
+     * @param {string} sessionId - 会话ID
+     */
+    clearAuthorsNote(sessionId) {
+        delete this.getSession(sessionId).authorsNote;
+        this.saveSessions();
+    }
+
+    /**
+     * 获取本轮应插入的作者注释：从第 1 轮开始每 interval 轮插入一次，interval 为 0 时不插入
+     * @param {string} sessionId - 会话ID
+     * @returns {Object|null}
+     */
+    getDueAuthorsNote(sessionId) {
+        const session = this.peekSession(sessionId);
+        const note = session?.authorsNote;
+        if (!note?.text || note.interval <= 0) {
+            return null;
+        }
+
+        const turn = (session.userTurns || 0) + 1;
+        return (turn - 1) % note.interval === 0 ? note : null;
+    }
+
+    /**
+     * 获取会话中较早历史的滚动总结
+     * @param {string} sessionId - 会话ID
+     * @returns {string}
+     */
+    getSummary(sessionId) {
+        return this.peekSession(sessionId)?.summary || '';
+    }
+
+    /**
+     * 设置会话的滚动总结（管理员手动修改时使用，为空时清除）
+     * @param {string} sessionId - 会话ID
+     * @param {string} summary - 总结文本
+     */
+    setSummary(sessionId, summary) {
         const session = this.getSession(sessionId);
-        return new Set(session.stickyEntries.keys());
+        if (summary) {
+            session.summary = summary;
+        } else {
+            delete session.summary;
+        }
+        this.saveSessions();
+    }
+
+    /**
+     * 用新的总结替换已被总结的历史消息
+     * 总结期间历史被清空或被截断时，只移除仍在历史中的消息；一条都不在时放弃这次总结
+     * @param {string} sessionId - 会话ID
+     * @param {string} summary - 新的总结文本
+     * @param {Array} summarizedMessages - 被总结的消息（session.messages 中的原对象）
+     * @returns {boolean} 是否已应用
+     */
+    applySummary(sessionId, summary, summarizedMessages) {
+        const session = this.peekSession(sessionId);
+        const summarized = new Set(summarizedMessages);
+        if (!session || !session.messages.some(m => summarized.has(m))) {
+            return false;
+        }
+
+        session.messages = session.messages.filter(m => !summarized.has(m));
+        session.summary = summary;
+        session.summarizedCount = (session.summarizedCount || 0) + summarizedMessages.length;
+        this.saveSessions();
+        return true;
+    }
+
+    /**
+     * 开始一次生成，返回用于取消的 AbortController
+     * @param {string} sessionId - 会话ID
+     * @returns {AbortController}
+     */
+    beginGeneration(sessionId) {
+        const controller = new AbortController();
+        if (!this.generations.has(sessionId)) {
+            this.generations.set(sessionId, new Set());
+        }
+        this.generations.get(sessionId).add(controller);
+        return controller;
+    }
+
+    /**
+     * 结束一次生成（只移除这一次的 controller，同一会话中的其他生成不受影响）
+     * @param {string} sessionId - 会话ID
+     * @param {AbortController} controller - beginGeneration 返回的 controller
+     */
+    endGeneration(sessionId, controller) {
+        const controllers = this.generations.get(sessionId);
+        if (controllers?.delete(controller) && controllers.size === 0) {
+            this.generations.delete(sessionId);
+        }
+    }
+
+    /**
+     * 取消会话中所有正在进行的生成
+     * @param {string} sessionId - 会话ID
+     * @returns {boolean} 是否有生成被取消
+     */
+    cancelGeneration(sessionId) {
+        const controllers = this.generations.get(sessionId);
+        if (!controllers) {
+            return false;
+        }
+        for (const controller of controllers) {
+            controller.abort();
+        }
+        this.generations.delete(sessionId);
+        return true;
     }
+
+    /**
+     * 获取正在生成的会话ID列表
+     * @returns {Array<string>}
+     */
+    listGenerations() {
+        return Array.from(this.generations.keys());
+    }
+}
+
+/**
+ * 补全作者注释的默认值：深度 4、system 角色、每轮插入
+ */
+function normalizeAuthorsNote(note) {
+    const toCount = (value, fallback) => {
+        const number = parseInt(value);
+        return Number.isInteger(number) && number >= 0 ? number : fallback;
+    };
+    return {
+        text: String(note.text ?? ''),
+        depth: toCount(note.depth, 4),
+        role: AUTHORS_NOTE_ROLES.includes(note.role) ? note.role : 'system',
+        interval: toCount(note.interval, 1)
+    };
 }
@@ -0,0 +1,131 @@
+/**
+ * 滚动总结模块
+ * 会话历史超过阈值时，让模型把最早的一段聊天记录与已有的总结合并成新的「前情提要」，
+ * 被总结的消息从历史中移除，总结由 PromptBuilder 通过 summary 块注入
+ */
+
+import { getTextContent } from './image.js';
+
+const DEFAULT_OPTIONS = {
+    enabled: false,
+    threshold: 40,
+    chunkSize: 20,
+    profile: '',
+    maxLength: 500
+};
+
+const DEFAULT_SUMMARY_PROMPT = '你是剧情记录员。请把【已有的前情提要】和【新的聊天记录】合并成一份新的前情提要：' +
+    '用第三人称简洁叙述，保留关键事件、人物关系、约定和尚未完成的事，不超过 {{maxLength}} 字，只输出前情提要本身。';
+
+// 总结时至少保留最近的消息条数，避免最近一轮对话被总结掉
+const MIN_KEEP_MESSAGES = 2;
+
+export class Summarizer {
+    /**
+     * @param {Object} config - 全局配置，读取其中的 summary 字段
+     * @param {Object} logger
+     * @param {Object} deps - { aiClient, sessionManager, usageTracker }
+     */
+    constructor(config, logger, { aiClient, sessionManager, usageTracker }) {
+        this.config = config;
+        this.logger = logger;
+        this.aiClient = aiClient;
+        this.sessionManager = sessionManager;
+        this.usageTracker = usageTracker;
+        // 正在总结的会话，同一会话同时只进行一次总结
+        this.running = new Set();
+    }
+
+    /**
+     * 获取总结配置（补全默认值）
+     */
+    getOptions() {
+        return { ...DEFAULT_OPTIONS, ...this.config.summary };
+    }
+
+    /**
+     * 历史达到阈值时总结最早的一段消息
+     * @param {string} sessionId - 会话ID
+     * @param {Object} options
+     * @param {string} options.characterName - 角色名（聊天记录中 AI 的名字）
+     * @param {boolean} options.force - 忽略 enabled 和阈值，立即总结（Web 面板手动触发）
+     * @returns {Promise<string|null>} 新的总结，未进行总结时返回 null
+     */
+    async maybeSummarize(sessionId, { characterName = 'AI', force = false } = {}) {
+        const options = this.getOptions();
+        const messages = this.sessionManager.peekSession(sessionId)?.messages || [];
+        if (!force && (!options.enabled || messages.length < options.threshold)) {
+            return null;
+        }
+        if (this.running.has(sessionId)) {
+            return null;
+        }
+
+        const chunk = pickChunk(messages, options.chunkSize);
+        if (chunk.length === 0) {
+            return null;
+        }
+
+        this.running.add(sessionId);
+        try {
+            const previous = this.sessionManager.getSummary(sessionId);
+            const summary = await this.summarize(previous, chunk, characterName, sessionId);
+            if (!this.sessionManager.applySummary(sessionId, summary, chunk)) {
+                this.logger.warn(`会话历史已变化，放弃本次总结 [${sessionId}]`);
+                return null;
+            }
+            this.logger.info(`已总结 [${sessionId}] 最早的 ${chunk.length} 条消息，总结约 ${summary.length} 字`);
+            return summary;
+        } finally {
+            this.running.delete(sessionId);
+        }
+    }
+
+    /**
+     * 调用模型生成新的总结
+     * @param {string} previous - 已有的总结
+     * @param {Array} chunk - 要总结的消息
+     * @param {string} characterName - 角色名
+     * @param {string} sessionId - 会话ID（用于记录用量）
+     * @returns {Promise<string>}
+     */
+    async summarize(previous, chunk, characterName, sessionId) {
+        const options = this.getOptions();
+        const transcript = chunk
+            .map(m => `${m.role === 'assistant' ? characterName : (m.name || '用户')}: ${getTextContent(m.content)}`)
+            .join('\n');
+
+        const messages = [
+            {
+                role: 'system',
+                content: (options.prompt || DEFAULT_SUMMARY_PROMPT).replace(/\{\{maxLength\}\}/g, String(options.maxLength))
+            },
+            {
+                role: 'user',
+                content: `【已有的前情提要】\n${previous || '（无）'}\n\n【新的聊天记录】\n${transcript}`
+            }
+        ];
+
+        const reply = await this.aiClient.chat(messages, {
+            profile: options.profile || null,
+            onUsage: (usage) => this.usageTracker?.record({ ...usage, sessionId })
+        });
+
+        const summary = String(reply || '').trim();
+        if (!summary) {
+            throw new Error('模型返回的总结为空');
+        }
+        return summary;
+    }
+}
+
+/**
+ * 取最早的一段消息：最多 chunkSize 条，保留最近的消息，并尽量以 AI 回复结尾，不拆开一问一答
+ */
+function pickChunk(messages, chunkSize) {
+    let count = Math.min(chunkSize, messages.length - MIN_KEEP_MESSAGES);
+    if (count > 1 && messages[count - 1].role === 'user') {
+        count--;
+    }
+    return count > 0 ? messages.slice(0, count) : [];
+}
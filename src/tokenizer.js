@@ -0,0 +1,78 @@
+/**
+ * Token 估算模块
+ * 默认使用对中日韩文字友好的启发式估算，可注册并切换为更精确的分词器
+ */
+
+// 中日韩文字、假名、谚文及全角标点，大多数模型中约 1 字 1 token
+const CJK_REGEX = /[\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]/g;
+
+// 每条消息的格式开销（角色标记、分隔符等）
+const MESSAGE_OVERHEAD = 4;
+
+// 每张图片的估算 token 数（各家按分辨率计费，这里取常见尺寸的近似值）
+const IMAGE_TOKENS = 1000;
+
+/**
+ * 内置分词器：(text) => tokenCount
+ */
+const tokenizers = {
+    // CJK 字符按 1 token 计，其余字符按约 4 字符 1 token 计
+    cjk(text) {
+        const cjkCount = (text.match(CJK_REGEX) || []).length;
+        const restLength = text.length - cjkCount;
+        return cjkCount + Math.ceil(restLength / 4);
+    },
+
+    // 简单估算：不区分文字，约 4 字符 1 token
+    simple(text) {
+        return Math.ceil(text.length / 4);
+    }
+};
+
+let activeTokenizer = tokenizers.cjk;
+
+/**
+ * 注册自定义分词器
+ * @param {string} name - 分词器名称
+ * @param {Function} fn - (text: string) => number
+ */
+export function registerTokenizer(name, fn) {
+    if (typeof fn !== 'function') {
+        throw new Error(`分词器必须是函数: ${name}`);
+    }
+    tokenizers[name] = fn;
+}
+
+/**
+ * 切换当前使用的分词器
+ * @param {string} name - 分词器名称
+ */
+export function useTokenizer(name) {
+    if (!tokenizers[name]) {
+        throw new Error(`未知的分词器: ${name}`);
+    }
+    activeTokenizer = tokenizers[name];
+}
+
+/**
+ * 估算文本的 token 数
+ * @param {string} text - 文本
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    return activeTokenizer(String(text));
+}
+
+/**
+ * 估算单条消息的 token 数（含格式开销）
+ * @param {Object} message - { role, content }，content 可以是内容块数组
+ */
+export function estimateMessageTokens(message) {
+    if (Array.isArray(message.content)) {
+        return message.content.reduce((sum, part) => sum + (part.type === 'text'
+            ? estimateTokens(part.text)
+            : IMAGE_TOKENS), MESSAGE_OVERHEAD);
+    }
+    return estimateTokens(message.content) + MESSAGE_OVERHEAD;
+}
@@ -0,0 +1,201 @@
+/**
+ * 工具调用模块
+ * 管理可供 AI 调用的 JS 工具，并提供内置工具（掷骰、时间查询、世界书查询、记住事实）
+ */
+
+export class ToolRegistry {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.tools = new Map();
+    }
+
+    /**
+     * 注册工具
+     * @param {Object} tool
+     * @param {string} tool.name - 工具名（字母、数字、下划线）
+     * @param {string} tool.description - 工具说明（给模型看）
+     * @param {Object} tool.parameters - 参数的 JSON Schema
+     * @param {Function} tool.handler - async (args, context) => string | Object
+     */
+    register(tool) {
+        if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+            throw new Error(`工具名不合法: ${tool.name}`);
+        }
+        this.tools.set(tool.name, tool);
+    }
+
+    /**
+     * 获取所有已注册工具（不含处理函数）
+     */
+    listTools() {
+        return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({
+            name,
+            description,
+            parameters
+        }));
+    }
+
+    /**
+     * 获取角色可用的工具定义
+     * 全局未启用时返回空数组；角色的 tools.allow 非空时只允许其中的工具，tools.deny 中的工具总是排除
+     * @param {Object} character - 角色数据
+     */
+    getToolsForCharacter(character) {
+        if (!this.config.tools?.enabled) {
+            return [];
+        }
+
+        const allow = character?.tools?.allow || [];
+        const deny = character?.tools?.deny || [];
+
+        return this.listTools().filter(tool =>
+            (allow.length === 0 || allow.includes(tool.name)) && !deny.includes(tool.name)
+        );
+    }
+
+    /**
+     * 执行工具，出错时把错误信息作为结果返回给模型
+     * @param {string} name - 工具名
+     * @param {Object} args - 参数
+     * @param {Object} context - 调用上下文 { sessionId, userId, groupId, characterName }
+     * @returns {Promise<string>} 工具结果文本
+     */
+    async execute(name, args, context = {}) {
+        const tool = this.tools.get(name);
+        const argsStr = JSON.stringify(args);
+
+        if (!tool) {
+            this.logger.warn(`[工具] 模型调用了未注册的工具: ${name}(${argsStr})`);
+            return `错误: 工具 ${name} 不存在`;
+        }
+
+        try {
+            const result = await tool.handler(args || {}, context);
+            const output = typeof result === 'string' ? result : JSON.stringify(result);
+            this.logger.info(`[工具] [${context.sessionId || '-'}] ${name}(${argsStr}) → ${output.substring(0, 100)}`);
+            return output;
+        } catch (error) {
+            this.logger.warn(`[工具] [${context.sessionId || '-'}] ${name}(${argsStr}) 执行失败: ${error.message}`);
+            return `错误: ${error.message}`;
+        }
+    }
+}
+
+/**
+ * 注册内置工具
+ * @param {ToolRegistry} registry
+ * @param {Object} deps - { sessionManager, worldBookManager }
+ */
+export function registerBuiltinTools(registry, { sessionManager, worldBookManager }) {
+    registry.register({
+        name: 'roll_dice',
+        description: '掷骰子，支持 NdM+K 格式，例如 1d20、2d6+3',
+        parameters: {
+            type: 'object',
+            properties: {
+                notation: { type: 'string', description: '骰子表达式，如 1d20、3d6-1' }
+            },
+            required: ['notation']
+        },
+        handler: ({ notation }) => {
+            const { rolls, modifier, total } = rollDice(notation);
+            const modifierStr = modifier ? ` ${modifier > 0 ? '+' : '-'} ${Math.abs(modifier)}` : '';
+            return `${notation} = [${rolls.join(', ')}]${modifierStr} = ${total}`;
+        }
+    });
+
+    registry.register({
+        name: 'current_time',
+        description: '查询指定时区的当前日期和时间',
+        parameters: {
+            type: 'object',
+            properties: {
+                timezone: { type: 'string', description: 'IANA 时区名，如 Asia/Shanghai、America/New_York，默认 Asia/Shanghai' }
+            }
+        },
+        handler: ({ timezone = 'Asia/Shanghai' }) => {
+            const time = new Date().toLocaleString('zh-CN', { timeZone: timezone, weekday: 'long' });
+            return `${timezone} 当前时间: ${time}`;
+        }
+    });
+
+    registry.register({
+        name: 'lookup_worldbook',
+        description: '在当前世界书中查找与关键词相关的设定条目',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: '要查找的关键词' }
+            },
+            required: ['query']
+        },
+        handler: ({ query }, context) => {
+            const worldBook = worldBookManager.currentWorldBook
+                || (context.characterName && worldBookManager.readWorldBook(context.characterName));
+            if (!worldBook?.entries) {
+                return '当前没有加载世界书';
+            }
+
+            const q = String(query).toLowerCase();
+            const entries = Array.isArray(worldBook.entries) ? worldBook.entries : Object.values(worldBook.entries);
+            const found = entries.filter(entry => {
+                if (entry.enabled === false || entry.disable === true) return false;
+                const keys = entry.keys || entry.key || [];
+                const name = entry.comment || entry.name || '';
+                return keys.some(k => k && (k.toLowerCase().includes(q) || q.includes(k.toLowerCase())))
+                    || name.toLowerCase().includes(q)
+                    || (entry.content || '').toLowerCase().includes(q);
+            }).slice(0, 3);
+
+            if (found.length === 0) {
+                return `没有找到与「${query}」相关的条目`;
+            }
+            return found.map(e => `【${e.comment || e.name || (e.keys || e.key || [])[0] || '未命名'}】\n${e.content}`).join('\n\n');
+        }
+    });
+
+    registry.register({
+        name: 'remember_fact',
+        description: '记住关于当前对话或用户的一条重要事实，之后的对话中会一直提供给你',
+        parameters: {
+            type: 'object',
+            properties: {
+                fact: { type: 'string', description: '要记住的事实，用一句话描述' }
+            },
+            required: ['fact']
+        },
+        handler: ({ fact }, context) => {
+            if (!context.sessionId) {
+                throw new Error('没有可用的会话');
+            }
+            sessionManager.addFact(context.sessionId, String(fact));
+            return `已记住: ${fact}`;
+        }
+    });
+}
+
+/**
+ * 掷骰子
+ * @param {string} notation - NdM±K 格式
+ * @returns {{ rolls: Array<number>, modifier: number, total: number }}
+ */
+export function rollDice(notation) {
+    const match = /^\s*(\d*)d(\d+)\s*([+-]\s*\d+)?\s*$/i.exec(String(notation));
+    if (!match) {
+        throw new Error(`无法解析骰子表达式: ${notation}`);
+    }
+
+    const count = parseInt(match[1] || '1');
+    const sides = parseInt(match[2]);
+    const modifier = match[3] ? parseInt(match[3].replace(/\s/g, '')) : 0;
+
+    if (count < 1 || count > 100 || sides < 2 || sides > 1000) {
+        throw new Error('骰子数量须在 1-100 之间，面数须在 2-1000 之间');
+    }
+
+    const rolls = Array.from({ length: count }, () => Math.floor(Math.random() * sides) + 1);
+    const total = rolls.reduce((a, b) => a + b, 0) + modifier;
+
+    return { rolls, modifier, total };
+}
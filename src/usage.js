@@ -0,0 +1,155 @@
+/**
+ * 用量统计模块
+ * 按会话、用户、群、日期和模型累计 AI 接口返回的 token 用量，并按配置的单价估算费用
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export class UsageTracker {
+    constructor(dataDir, config = {}) {
+        this.config = config;
+        this.usageFile = path.join(dataDir, 'usage.json');
+        this.stats = createEmptyStats();
+        this.loadUsage();
+    }
+
+    loadUsage() {
+        try {
+            if (fs.existsSync(this.usageFile)) {
+                const data = JSON.parse(fs.readFileSync(this.usageFile, 'utf-8'));
+                this.stats = { ...createEmptyStats(), ...data };
+            }
+        } catch (err) {
+            console.error('加载用量统计失败:', err);
+        }
+    }
+
+    saveUsage() {
+        try {
+            const dir = path.dirname(this.usageFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.usageFile, JSON.stringify(this.stats, null, 2));
+        } catch (err) {
+            console.error('保存用量统计失败:', err);
+        }
+    }
+
+    /**
+     * 记录一次请求的用量
+     * @param {Object} record
+     * @param {string} record.sessionId - 会话 ID
+     * @param {number} record.userId - 用户 QQ 号
+     * @param {number} record.groupId - 群号（私聊为空）
+     * @param {string} record.model - 模型名
+     * @param {number} record.promptTokens - 输入 tokens
+     * @param {number} record.completionTokens - 输出 tokens
+     */
+    record({ sessionId, userId, groupId, model, promptTokens = 0, completionTokens = 0 }) {
+        const usage = {
+            requests: 1,
+            promptTokens,
+            completionTokens,
+            cost: this.estimateCost(model, promptTokens, completionTokens)
+        };
+
+        addTo(this.stats, 'total', null, usage);
+        addTo(this.stats, 'byDay', getDayKey(), usage);
+        if (model) addTo(this.stats, 'byModel', model, usage);
+        if (sessionId) addTo(this.stats, 'bySession', sessionId, usage);
+        if (userId) addTo(this.stats, 'byUser', String(userId), usage);
+        if (groupId) addTo(this.stats, 'byGroup', String(groupId), usage);
+
+        this.saveUsage();
+    }
+
+    /**
+     * 按 usage.pricing 估算费用（单价为每百万 tokens 的价格）
+     * @returns {number} 未配置单价时返回 0
+     */
+    estimateCost(model, promptTokens, completionTokens) {
+        const price = this.config.usage?.pricing?.[model];
+        if (!price) return 0;
+        return (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6;
+    }
+
+    /**
+     * 获取用量汇总
+     * @param {number} limit - 各分组最多返回的条目数（按 token 总量降序）
+     */
+    getSummary(limit = 20) {
+        const toList = (bucket, sortByKey = false) => {
+            const list = Object.entries(bucket).map(([key, usage]) => ({
+                key,
+                ...usage,
+                totalTokens: usage.promptTokens + usage.completionTokens
+            }));
+            if (sortByKey) {
+                list.sort((a, b) => b.key.localeCompare(a.key));
+            } else {
+                list.sort((a, b) => b.totalTokens - a.totalTokens);
+            }
+            return list.slice(0, limit);
+        };
+
+        return {
+            total: this.stats.total,
+            today: this.stats.byDay[getDayKey()] || createEmptyUsage(),
+            byDay: toList(this.stats.byDay, true),
+            byModel: toList(this.stats.byModel),
+            bySession: toList(this.stats.bySession),
+            byUser: toList(this.stats.byUser),
+            byGroup: toList(this.stats.byGroup),
+            currency: this.config.usage?.currency || ''
+        };
+    }
+
+    /**
+     * 清空用量统计
+     */
+    reset() {
+        this.stats = createEmptyStats();
+        this.saveUsage();
+    }
+}
+
+function createEmptyUsage() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+function createEmptyStats() {
+    return {
+        total: createEmptyUsage(),
+        byDay: {},
+        byModel: {},
+        bySession: {},
+        byUser: {},
+        byGroup: {}
+    };
+}
+
+/**
+ * 将用量累加到指定分组（key 为 null 时直接累加到 stats[bucket]）
+ */
+function addTo(stats, bucket, key, usage) {
+    let target;
+    if (key === null) {
+        target = stats[bucket];
+    } else {
+        target = stats[bucket][key] || (stats[bucket][key] = createEmptyUsage());
+    }
+
+    target.requests += usage.requests;
+    target.promptTokens += usage.promptTokens;
+    target.completionTokens += usage.completionTokens;
+    target.cost += usage.cost;
+}
+
+/**
+ * 当天日期（北京时间），格式 YYYY-MM-DD
+ */
+function getDayKey() {
+    return new Date().toLocaleDateString('sv-SE', { timeZone: 'Asia/Shanghai' });
+}
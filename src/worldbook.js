@@ -5,6 +5,41 @@
 
 import fs from 'fs';
 import path from 'path';
+import logger from './logger.js';
+
+/**
+ * 条目插入位置（与 SillyTavern 的 position 数值一致）
+ */
+export const WORLD_INFO_POSITION = {
+    BEFORE_CHAR: 0,       // 角色定义之前
+    AFTER_CHAR: 1,        // 角色定义之后
+    AN_TOP: 2,            // 作者注释顶部
+    AN_BOTTOM: 3,         // 作者注释底部
+    AT_DEPTH: 4,          // 按深度插入聊天历史
+    BEFORE_EXAMPLES: 5,   // 对话示例之前
+    AFTER_EXAMPLES: 6     // 对话示例之后
+};
+
+// 角色卡内嵌世界书（character_book）使用字符串表示位置
+const POSITION_NAMES = {
+    before_char: WORLD_INFO_POSITION.BEFORE_CHAR,
+    after_char: WORLD_INFO_POSITION.AFTER_CHAR
+};
+
+const ROLES = ['system', 'user', 'assistant'];
+const DEFAULT_DEPTH = 4;
+// 默认扫描最近 2 条消息（当前用户消息和上一条回复，与 SillyTavern 一致）
+const DEFAULT_SCAN_DEPTH = 2;
+// 默认最多递归激活 3 层
+const DEFAULT_MAX_RECURSION_STEPS = 3;
+
+// /pattern/flags 形式的关键词按正则表达式匹配
+const REGEX_KEY_PATTERN = /^\/([\s\S]+)\/([a-z]*)$/;
+// 全词匹配时的「单词字符」：字母、数字和下划线，但不包括中日韩文字（它们之间没有空格分词，任意位置都算边界）
+const WORD_CHAR = '(?:(?![\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}])[\\p{L}\\p{N}_])';
+
+// 已编译的关键词：Map<缓存键, RegExp>，编译失败的关键词记为 null
+const keyCache = new Map();
 
 export class WorldBookManager {
     constructor(dataDir) {
@@ -37,6 +72,7 @@ export class WorldBookManager {
             const filePath = path.join(this.worldsDir, name);
             if (fs.existsSync(filePath)) {
                 const worldBook = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                reportKeyErrors(name, worldBook);
                 this.cache.set(characterName, worldBook);
                 return worldBook;
             }
@@ -49,6 +85,7 @@ export class WorldBookManager {
                 if (file.includes(characterName) && file.endsWith('.json')) {
                     const filePath = path.join(this.worldsDir, file);
                     const worldBook = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                    reportKeyErrors(file, worldBook);
                     this.cache.set(characterName, worldBook);
                     return worldBook;
                 }
@@ -60,114 +97,150 @@ export class WorldBookManager {
 
     /**
      * 匹配世界书条目
+     * 第一轮用聊天消息匹配关键词；之后把已激活条目的内容作为新的文本继续匹配（递归激活），
+     * 直到没有新条目或达到递归层数。每个条目最多激活一次，因此互相引用的条目不会无限循环
+     * 每批触发的条目先按 probability 掷骰，再在每个包含组（group）中只保留一个，见 selectActivated
      * @param {Object} worldBook - 世界书对象
-     * @param {string} inputText - 用于匹配的文本（包括历史消息）
-     * @param {number} maxEntries - 最大返回条目数
+     * @param {string|Array} scanMessages - 用于匹配的消息 [{ role, text }]，最新的在前；传入字符串时整段文本都参与匹配
+     * @param {number} maxEntries - 最大返回条目数，默认不限（构建 Prompt 时按 token 预算裁剪）
      * @param {Set<string>} stickyKeys - 当前会话中仍然粘性的条目键集合
+     * @param {Object} options
+     * @param {number} options.scanDepth - 扫描最近多少条消息（条目的 scanDepth 优先），默认 2
+     * @param {boolean} options.includeAssistant - AI 的回复是否参与匹配，默认参与
+     * @param {boolean} options.recursive - 是否递归激活，默认开启
+     * @param {number} options.maxRecursionSteps - 最多递归几层，默认 3
      */
-    matchEntries(worldBook, inputText, maxEntries = 10, stickyKeys = new Set()) {
+    matchEntries(worldBook, scanMessages, maxEntries = Infinity, stickyKeys = new Set(), options = {}) {
         if (!worldBook || !worldBook.entries) {
             return [];
         }
 
-        const matched = [];
-        const constants = [];
-        const stickyMatched = [];  // 粘性触发的条目
-        const inputLower = inputText.toLowerCase();
+        // 按扫描深度拼接的匹配文本：Map<深度, 文本>
+        const scanTexts = new Map();
+        const getScanText = (depth) => {
+            if (typeof scanMessages === 'string') {
+                return scanMessages;
+            }
+            if (!scanTexts.has(depth)) {
+                scanTexts.set(depth, scanMessages
+                    .slice(0, depth)
+                    .filter(m => options.includeAssistant !== false || m.role !== 'assistant')
+                    .map(m => m.text)
+                    .join('\n'));
+            }
+            return scanTexts.get(depth);
+        };
 
         // 支持数组格式和对象格式的 entries
-        const entriesArray = Array.isArray(worldBook.entries) 
-            ? worldBook.entries 
-            : Object.values(worldBook.entries);
+        // enabled 为 undefined 时视为启用，只有明确设为 false 才禁用
+        const entriesArray = (Array.isArray(worldBook.entries)
+            ? worldBook.entries
+            : Object.values(worldBook.entries)
+        ).filter(entry => entry.enabled !== false && entry.disable !== true);
 
-        for (const entry of entriesArray) {
-            // enabled 为 undefined 时视为启用，只有明确设为 false 才禁用
-            if (entry.enabled === false || entry.disable === true) {
-                continue;
-            }
+        // 已触发过的条目键（包括掷骰失败和在包含组中落选的条目，递归时不再重复触发）
+        const activated = new Set();
+        // 已选出条目的包含组：Map<组名, 条目键>
+        const groupWinners = new Map();
 
+        const candidates = [];
+        for (const entry of entriesArray) {
             // 获取条目的唯一标识（用于粘性追踪）
-            const keys = entry.keys || entry.key || [];
-            const entryKey = entry.uid || entry.id || keys[0] || entry.comment || entry.name || 'unknown';
-            
-            // 获取粘性设置（sticky 字段，单位：轮数）
-            // SillyTavern 使用 sticky 字段，0 或 undefined 表示不粘性
-            const sticky = entry.sticky || 0;
-
-            // 常驻条目（constant: true）始终包含
+            const entryKey = getEntryKey(entry);
+
+            // 常驻条目（constant: true）始终触发
             if (entry.constant === true) {
-                constants.push({
-                    content: entry.content,
-                    order: entry.order || entry.insertion_order || 0,
-                    key: entryKey,
-                    isConstant: true,
-                    position: entry.position || 0,
-                    sticky: 0  // 常驻条目不需要粘性
+                activated.add(entryKey);
+                candidates.push({
+                    entry,
+                    isStickyActive: false,
+                    data: {
+                        content: entry.content,
+                        order: entry.order || entry.insertion_order || 0,
+                        key: entryKey,
+                        comment: entry.comment || entry.name || '常驻条目',
+                        isConstant: true,
+                        ...getPlacement(entry),
+                        sticky: 0,  // 常驻条目不需要粘性
+                        preventRecursion: getRecursionFlags(entry).preventRecursion
+                    }
                 });
                 continue;
             }
 
             // 检查是否是粘性触发（之前触发过，还在粘性期内）
+            // SillyTavern 使用 sticky 字段（单位：轮数），0 或 undefined 表示不粘性
             const isStickyActive = stickyKeys.has(entryKey);
 
-            // 关键词匹配 - 支持 keys（数组格式）和 key（对象格式）
-            const secondaryKeys = entry.secondary_keys || entry.keysecondary || [];
-            let primaryMatch = false;
-            let secondaryMatch = secondaryKeys.length === 0; // 如果没有次要关键词，默认为 true
+            // 关键词匹配
+            const keywordMatch = matchesEntryKeys(entry, getScanText(getScanDepth(entry, options.scanDepth)));
 
-            // 主要关键词匹配（OR 逻辑）
-            for (const key of keys) {
-                if (key && inputLower.includes(key.toLowerCase())) {
-                    primaryMatch = true;
-                    break;
-                }
+            // 条目触发条件：关键词匹配 OR 粘性激活
+            if (keywordMatch || isStickyActive) {
+                activated.add(entryKey);
+                candidates.push({
+                    entry,
+                    isStickyActive,
+                    data: {
+                        ...createEntryData(entry, entryKey),
+                        triggeredByKeyword: keywordMatch,  // 标记是否由关键词触发
+                        triggeredBySticky: isStickyActive && !keywordMatch  // 标记是否仅由粘性触发
+                    }
+                });
             }
+        }
+        const selected = selectActivated(candidates, groupWinners);
 
-            // 次要关键词匹配（根据 selectiveLogic）
-            if (primaryMatch && secondaryKeys.length > 0) {
-                const logic = entry.selectiveLogic || 0; // 0 = AND ANY, 1 = NOT ALL, 2 = NOT ANY, 3 = AND ALL
-                
-                if (logic === 0) { // AND ANY - 任意一个次要关键词匹配
-                    secondaryMatch = secondaryKeys.some(k => k && inputLower.includes(k.toLowerCase()));
-                } else if (logic === 1) { // NOT ALL - 不是所有次要关键词都匹配
-                    secondaryMatch = !secondaryKeys.every(k => k && inputLower.includes(k.toLowerCase()));
-                } else if (logic === 2) { // NOT ANY - 没有任何次要关键词匹配
-                    secondaryMatch = !secondaryKeys.some(k => k && inputLower.includes(k.toLowerCase()));
-                } else if (logic === 3) { // AND ALL - 所有次要关键词都匹配
-                    secondaryMatch = secondaryKeys.every(k => k && inputLower.includes(k.toLowerCase()));
-                }
-            }
+        // 递归激活：已激活条目的内容（设置了 preventRecursion 的除外）可以触发其他条目
+        const maxSteps = options.recursive === false ? 0 : options.maxRecursionSteps ?? DEFAULT_MAX_RECURSION_STEPS;
+        let recursionBuffer = selected
+            .filter(e => !e.preventRecursion)
+            .map(e => e.content)
+            .join('\n');
 
-            const keywordMatch = primaryMatch && secondaryMatch;
+        for (let step = 1; step <= maxSteps && recursionBuffer; step++) {
+            const stepCandidates = [];
+            for (const entry of entriesArray) {
+                const entryKey = getEntryKey(entry);
+                if (activated.has(entryKey) || entry.constant === true || getRecursionFlags(entry).excludeRecursion) {
+                    continue;
+                }
 
-            // 条目触发条件：关键词匹配 OR 粘性激活
-            if (keywordMatch || isStickyActive) {
-                const entryData = {
-                    content: entry.content,
-                    order: entry.order || entry.insertion_order || 0,
-                    key: entryKey,
-                    keys: keys,
-                    comment: entry.comment || entry.name || keys[0] || '未命名',
-                    isConstant: false,
-                    position: entry.position || 0,
-                    sticky: sticky,
-                    triggeredByKeyword: keywordMatch,  // 标记是否由关键词触发
-                    triggeredBySticky: isStickyActive && !keywordMatch  // 标记是否仅由粘性触发
-                };
-
-                if (keywordMatch) {
-                    matched.push(entryData);
-                } else {
-                    stickyMatched.push(entryData);
+                // 递归时聊天消息和已激活条目的内容一起匹配（次要关键词可以分别出现在两处）
+                const text = getScanText(getScanDepth(entry, options.scanDepth)) + '\n' + recursionBuffer;
+                if (matchesEntryKeys(entry, text)) {
+                    activated.add(entryKey);
+                    stepCandidates.push({
+                        entry,
+                        isStickyActive: false,
+                        data: {
+                            ...createEntryData(entry, entryKey),
+                            triggeredByKeyword: false,
+                            triggeredBySticky: false,
+                            triggeredByRecursion: true,
+                            recursionStep: step
+                        }
+                    });
                 }
             }
+
+            const newlyActivated = selectActivated(stepCandidates, groupWinners);
+            if (newlyActivated.length === 0) {
+                break;
+            }
+            selected.push(...newlyActivated);
+            const newContent = newlyActivated
+                .filter(e => !e.preventRecursion)
+                .map(e => e.content)
+                .join('\n');
+            recursionBuffer = newContent ? recursionBuffer + '\n' + newContent : '';
         }
 
-        // 合并常驻、关键词匹配和粘性触发的条目，按 order 排序
-        const all = [...constants, ...matched, ...stickyMatched];
-        all.sort((a, b) => b.order - a.order);
+        // 按 order 排序，order 相同时依次为常驻、关键词匹配、递归和粘性触发的条目
+        const rank = (e) => e.isConstant ? 0 : e.triggeredByRecursion ? 2 : e.triggeredBySticky ? 3 : 1;
+        selected.sort((a, b) => b.order - a.order || rank(a) - rank(b));
 
-        return all.slice(0, maxEntries);
+        return selected.slice(0, maxEntries);
     }
 
     /**
@@ -212,13 +285,15 @@ export class WorldBookManager {
         }
         
         const worldBook = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const keyErrors = reportKeyErrors(filename, worldBook);
         this.currentWorldBook = worldBook;
         this.currentWorldBookName = filename.replace('.json', '');
         this.cache.set(filename, worldBook);
         
         return {
             name: this.currentWorldBookName,
-            entries: worldBook.entries ? Object.keys(worldBook.entries).length : 0
+            entries: worldBook.entries ? Object.keys(worldBook.entries).length : 0,
+            keyErrors
         };
     }
 
@@ -240,3 +315,308 @@ export class WorldBookManager {
         return this.matchEntries(this.currentWorldBook, text);
     }
 }
+
+/**
+ * 检查世界书中无法编译的正则关键词
+ * @param {Object} worldBook - 世界书对象
+ * @returns {Array} [{ entry: 条目名, key, error }]
+ */
+export function validateWorldBook(worldBook) {
+    const entries = Array.isArray(worldBook?.entries)
+        ? worldBook.entries
+        : Object.values(worldBook?.entries || {});
+
+    const errors = [];
+    for (const entry of entries) {
+        const options = getMatchOptions(entry);
+        const keys = [...(entry.keys || entry.key || []), ...(entry.secondary_keys || entry.keysecondary || [])];
+        for (const key of keys) {
+            if (!key) continue;
+            try {
+                compileKey(key, options);
+            } catch (err) {
+                errors.push({ entry: entry.comment || entry.name || String(entry.uid ?? entry.id ?? ''), key, error: err.message });
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * 加载或保存世界书时报告无效的关键词（匹配时这些关键词不会触发，不影响回复）
+ * @returns {Array} validateWorldBook 的结果
+ */
+export function reportKeyErrors(filename, worldBook) {
+    const errors = validateWorldBook(worldBook);
+    for (const { entry, key, error } of errors) {
+        logger.warn(`世界书 ${filename} 的条目「${entry}」关键词无效: ${key} (${error})`);
+    }
+    return errors;
+}
+
+/**
+ * 读取条目的匹配选项
+ * 兼容 SillyTavern 世界书（caseSensitive、matchWholeWords）和角色卡内嵌世界书（extensions 中的 case_sensitive、match_whole_words）
+ * @returns {{ caseSensitive: boolean, matchWholeWords: boolean }}
+ */
+function getMatchOptions(entry) {
+    const ext = entry.extensions || {};
+    return {
+        caseSensitive: (entry.caseSensitive ?? entry.case_sensitive ?? ext.case_sensitive) === true,
+        matchWholeWords: (entry.matchWholeWords ?? ext.match_whole_words) === true
+    };
+}
+
+/**
+ * 条目的唯一标识（用于粘性追踪和递归去重）
+ */
+function getEntryKey(entry) {
+    const keys = entry.keys || entry.key || [];
+    return entry.uid || entry.id || keys[0] || entry.comment || entry.name || 'unknown';
+}
+
+/**
+ * 触发条目时返回的条目信息（常驻条目除外）
+ */
+function createEntryData(entry, entryKey) {
+    const keys = entry.keys || entry.key || [];
+    return {
+        content: entry.content,
+        order: entry.order || entry.insertion_order || 0,
+        key: entryKey,
+        keys: keys,
+        comment: entry.comment || entry.name || keys[0] || '未命名',
+        isConstant: false,
+        ...getPlacement(entry),
+        sticky: entry.sticky || 0,
+        preventRecursion: getRecursionFlags(entry).preventRecursion
+    };
+}
+
+/**
+ * 判断文本是否触发条目：主要关键词任意一个匹配，且次要关键词满足 selectiveLogic
+ * 支持 keys（数组格式）和 key（对象格式）
+ * @param {Object} entry - 条目
+ * @param {string} text - 匹配文本
+ * @returns {boolean}
+ */
+function matchesEntryKeys(entry, text) {
+    const keys = entry.keys || entry.key || [];
+    const secondaryKeys = entry.secondary_keys || entry.keysecondary || [];
+    const matchOptions = getMatchOptions(entry);
+    const hasKey = (k) => Boolean(k) && matchKey(k, text, matchOptions);
+
+    // 主要关键词匹配（OR 逻辑）
+    if (!keys.some(hasKey)) {
+        return false;
+    }
+    // 如果没有次要关键词，默认为 true
+    if (secondaryKeys.length === 0) {
+        return true;
+    }
+
+    // 次要关键词匹配（根据 selectiveLogic）
+    const logic = entry.selectiveLogic || 0; // 0 = AND ANY, 1 = NOT ALL, 2 = NOT ANY, 3 = AND ALL
+    if (logic === 1) { // NOT ALL - 不是所有次要关键词都匹配
+        return !secondaryKeys.every(hasKey);
+    }
+    if (logic === 2) { // NOT ANY - 没有任何次要关键词匹配
+        return !secondaryKeys.some(hasKey);
+    }
+    if (logic === 3) { // AND ALL - 所有次要关键词都匹配
+        return secondaryKeys.every(hasKey);
+    }
+    return secondaryKeys.some(hasKey); // AND ANY - 任意一个次要关键词匹配
+}
+
+/**
+ * 读取条目的递归设置
+ * excludeRecursion：不能被其他条目的内容触发；preventRecursion：内容不会触发其他条目
+ * 兼容角色卡内嵌世界书 extensions 中的 exclude_recursion、prevent_recursion
+ */
+function getRecursionFlags(entry) {
+    const ext = entry.extensions || {};
+    return {
+        excludeRecursion: (entry.excludeRecursion ?? ext.exclude_recursion) === true,
+        preventRecursion: (entry.preventRecursion ?? ext.prevent_recursion) === true
+    };
+}
+
+/**
+ * 从一批触发的条目中选出生效的条目
+ * 1. 概率：启用 useProbability 且 probability 小于 100 的条目按概率掷骰，粘性期内的条目不掷骰
+ * 2. 包含组：同一组中只保留一个条目——粘性期内的条目优先，其次是设置了 groupOverride 的条目中 order 最高的，
+ *    否则按 groupWeight 加权随机选出；之前批次（递归的上一层）已选出条目的组，本批的组员全部落选
+ * @param {Array} candidates - [{ entry, isStickyActive, data }]
+ * @param {Map<string, string>} groupWinners - 已选出条目的包含组，选出新的条目时会更新
+ * @returns {Array} 生效条目的 data
+ */
+function selectActivated(candidates, groupWinners) {
+    const passed = candidates.filter(c => c.isStickyActive || rollProbability(c.entry));
+
+    // 按组收集条目（一个条目可以用逗号分隔属于多个组）
+    const groups = new Map();
+    for (const candidate of passed) {
+        for (const group of getGroupOptions(candidate.entry).groups) {
+            if (!groups.has(group)) {
+                groups.set(group, []);
+            }
+            groups.get(group).push(candidate);
+        }
+    }
+
+    const losers = new Set();
+    for (const [group, members] of groups) {
+        const winner = groupWinners.has(group) ? null : pickGroupWinner(members);
+        if (winner) {
+            groupWinners.set(group, winner.data.key);
+        }
+        members.filter(m => m !== winner).forEach(m => losers.add(m));
+    }
+
+    return passed.filter(c => !losers.has(c)).map(c => c.data);
+}
+
+/**
+ * 在包含组中选出一个条目
+ */
+function pickGroupWinner(members) {
+    const sticky = members.find(m => m.isStickyActive);
+    if (sticky) {
+        return sticky;
+    }
+
+    const overrides = members.filter(m => getGroupOptions(m.entry).override);
+    if (overrides.length > 0) {
+        return overrides.reduce((best, m) => m.data.order > best.data.order ? m : best);
+    }
+
+    const weights = members.map(m => getGroupOptions(m.entry).weight);
+    let roll = Math.random() * weights.reduce((sum, w) => sum + w, 0);
+    for (let i = 0; i < members.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) {
+            return members[i];
+        }
+    }
+    return members[members.length - 1];
+}
+
+/**
+ * 按条目的触发概率掷骰
+ * 兼容 SillyTavern 世界书（probability、useProbability）和角色卡内嵌世界书（extensions 中的同名字段）
+ * @returns {boolean} 是否通过
+ */
+function rollProbability(entry) {
+    const ext = entry.extensions || {};
+    const useProbability = (entry.useProbability ?? ext.useProbability) !== false;
+    const probability = Number(entry.probability ?? ext.probability ?? 100);
+    if (!useProbability || !Number.isFinite(probability) || probability >= 100) {
+        return true;
+    }
+    return Math.random() * 100 < probability;
+}
+
+/**
+ * 读取条目的包含组设置
+ * 兼容 SillyTavern 世界书（group、groupOverride、groupWeight）和角色卡内嵌世界书（extensions 中的 group、group_override、group_weight）
+ * @returns {{ groups: Array<string>, override: boolean, weight: number }}
+ */
+function getGroupOptions(entry) {
+    const ext = entry.extensions || {};
+    const weight = Number(entry.groupWeight ?? ext.group_weight ?? 100);
+    return {
+        groups: String(entry.group ?? ext.group ?? '').split(',').map(g => g.trim()).filter(Boolean),
+        override: (entry.groupOverride ?? ext.group_override) === true,
+        weight: Number.isFinite(weight) && weight > 0 ? weight : 0
+    };
+}
+
+/**
+ * 读取条目的扫描深度：条目的 scanDepth（角色卡内嵌世界书为 extensions.scan_depth）> 全局设置 > 2
+ * @param {Object} entry - 条目
+ * @param {number} globalDepth - 全局扫描深度
+ * @returns {number}
+ */
+function getScanDepth(entry, globalDepth) {
+    const depth = entry.scanDepth ?? entry.extensions?.scan_depth ?? globalDepth;
+    return Number.isInteger(depth) && depth >= 0 ? depth : DEFAULT_SCAN_DEPTH;
+}
+
+/**
+ * 判断文本中是否出现关键词，无效的正则关键词视为不匹配
+ */
+function matchKey(key, text, options) {
+    try {
+        return compileKey(key, options).test(text);
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * 把关键词编译为正则表达式（带缓存），正则无效时抛出错误
+ * - /pattern/flags 形式按正则匹配，大小写由 flags 决定
+ * - 普通关键词默认不区分大小写；全词匹配时，关键词首尾是字母或数字的，
+ *   前后不能紧挨着其他字母或数字（中日韩文字除外），因此「AI」不会匹配「MAIL」，但能匹配「AI助手」
+ * @param {string} key - 关键词
+ * @param {Object} options - { caseSensitive, matchWholeWords }
+ * @returns {RegExp}
+ */
+function compileKey(key, { caseSensitive, matchWholeWords }) {
+    const cacheKey = `${caseSensitive ? 1 : 0}${matchWholeWords ? 1 : 0}${key}`;
+    if (keyCache.has(cacheKey)) {
+        const cached = keyCache.get(cacheKey);
+        if (cached instanceof Error) throw cached;
+        return cached;
+    }
+
+    let regex;
+    try {
+        const regexKey = key.match(REGEX_KEY_PATTERN);
+        if (regexKey) {
+            // 去掉 g 和 y，避免 test() 受 lastIndex 影响
+            regex = new RegExp(regexKey[1], regexKey[2].replace(/[gy]/g, ''));
+        } else {
+            const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const isWordChar = (char) => new RegExp(`^${WORD_CHAR}$`, 'u').test(char);
+            const chars = Array.from(key);
+            const before = matchWholeWords && isWordChar(chars[0]) ? `(?<!${WORD_CHAR})` : '';
+            const after = matchWholeWords && isWordChar(chars[chars.length - 1]) ? `(?!${WORD_CHAR})` : '';
+            regex = new RegExp(before + escaped + after, caseSensitive ? 'u' : 'iu');
+        }
+    } catch (err) {
+        keyCache.set(cacheKey, err);
+        throw err;
+    }
+
+    keyCache.set(cacheKey, regex);
+    return regex;
+}
+
+/**
+ * 读取条目的插入位置、深度和角色
+ * 兼容 SillyTavern 世界书（数值 position、depth、role）和角色卡内嵌世界书（extensions 中的同名字段）
+ * @returns {{ position: number, depth: number, role: string }}
+ */
+function getPlacement(entry) {
+    const ext = entry.extensions || {};
+
+    let position = typeof entry.position === 'number' ? entry.position : ext.position ?? entry.position;
+    if (typeof position === 'string') {
+        position = POSITION_NAMES[position];
+    }
+    if (!Object.values(WORLD_INFO_POSITION).includes(position)) {
+        position = WORLD_INFO_POSITION.BEFORE_CHAR;
+    }
+
+    const depth = entry.depth ?? ext.depth;
+    const role = entry.role ?? ext.role;
+
+    return {
+        position,
+        depth: Number.isInteger(depth) && depth >= 0 ? depth : DEFAULT_DEPTH,
+        // role 为 0/1/2 或角色名，默认 system
+        role: ROLES[role] || (ROLES.includes(role) ? role : 'system')
+    };
+}
@@ -0,0 +1,99 @@
+/**
+ * Anthropic 请求中 system 消息的位置：只有开头的 system 消息放入顶层 system 字段，
+ * 按深度插入的世界书条目和后续历史指令保持在聊天记录中的位置
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AIClient } from '../src/ai.js';
+import { PromptBuilder } from '../src/prompt.js';
+import { PresetManager } from '../src/preset.js';
+import { MacroEngine } from '../src/macro.js';
+import { WorldBookManager, WORLD_INFO_POSITION } from '../src/worldbook.js';
+
+async function buildAnthropicBody(character, worldBook, history, userMessage) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tavern-link-test-'));
+    const worldBookManager = new WorldBookManager(dataDir);
+    worldBookManager.readWorldBook = () => worldBook;
+    const config = { ai: {}, prompt: {} };
+    const builder = new PromptBuilder(
+        { readFromPng: () => character },
+        worldBookManager,
+        config,
+        new PresetManager(dataDir, config),
+        new MacroEngine()
+    );
+    const { messages } = await builder.build(character.name, userMessage, history);
+
+    // 拦截请求，取出发给 Anthropic 的请求体
+    let body = null;
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init) => {
+        body = JSON.parse(init.body);
+        return new Response(JSON.stringify({ content: [{ type: 'text', text: 'ok' }] }), { status: 200 });
+    };
+    try {
+        const client = new AIClient({ provider: 'anthropic', baseUrl: 'https://example.invalid/v1', apiKey: 'x', model: 'test' });
+        await client.chat(messages);
+    } finally {
+        globalThis.fetch = originalFetch;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+    return body;
+}
+
+test('按深度插入的 system 条目和后续历史指令不会被移到顶层 system', async () => {
+    const character = {
+        name: 'Alice',
+        description: '角色描述',
+        post_history_instructions: '后续历史指令'
+    };
+    const worldBook = {
+        entries: [{
+            uid: 'depth',
+            constant: true,
+            content: '深度一条目',
+            position: WORLD_INFO_POSITION.AT_DEPTH,
+            depth: 1,
+            role: 0
+        }]
+    };
+    const history = [
+        { role: 'user', content: '第一句' },
+        { role: 'assistant', content: '第一句回复' }
+    ];
+
+    const body = await buildAnthropicBody(character, worldBook, history, '第二句');
+
+    assert.match(body.system, /角色描述/);
+    assert.doesNotMatch(body.system, /深度一条目|后续历史指令/);
+
+    // 深度 1：在最后一条消息（当前用户消息）之前，也就是上一条回复之后
+    const texts = body.messages.map(m => `${m.role}:${m.content}`);
+    const depthIndex = texts.findIndex(t => t.includes('深度一条目'));
+    const replyIndex = texts.findIndex(t => t.includes('第一句回复'));
+    assert.ok(depthIndex > replyIndex, '条目应在上一条回复之后');
+    assert.equal(body.messages[depthIndex].role, 'user');
+
+    // 后续历史指令在当前用户消息之后，和它合并为最后一条 user 消息
+    const last = body.messages[body.messages.length - 1];
+    assert.equal(last.role, 'user');
+    assert.ok(last.content.indexOf('第二句') < last.content.indexOf('后续历史指令'));
+});
+
+test('V2 角色卡的空 post_history_instructions 不会挡住旧版 jailbreak 字段', async () => {
+    const character = {
+        name: 'Alice',
+        description: '角色描述',
+        post_history_instructions: '',
+        data: { post_history_instructions: '  ', extensions: { jailbreak: '旧版指令' } }
+    };
+
+    const body = await buildAnthropicBody(character, null, [], '你好');
+
+    const last = body.messages[body.messages.length - 1];
+    assert.match(last.content, /你好[\s\S]*旧版指令/);
+});
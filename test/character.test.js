@@ -0,0 +1,58 @@
+/**
+ * 角色卡覆盖层：在面板中保存的后续历史指令优先于角色卡中旧版的 jailbreak 字段
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CharacterManager } from '../src/character.js';
+import { PromptBuilder } from '../src/prompt.js';
+import { PresetManager } from '../src/preset.js';
+import { MacroEngine } from '../src/macro.js';
+import { WorldBookManager } from '../src/worldbook.js';
+
+// 只含 chara tEXt 块的 PNG（读取时不校验 CRC）
+function writeCharacterPng(file, card) {
+    const text = Buffer.concat([Buffer.from('chara\0'), Buffer.from(Buffer.from(JSON.stringify(card)).toString('base64'))]);
+    const chunk = (type, data) => {
+        const header = Buffer.alloc(8);
+        header.writeUInt32BE(data.length, 0);
+        header.write(type, 4, 'ascii');
+        return Buffer.concat([header, data, Buffer.alloc(4)]);
+    };
+    fs.writeFileSync(file, Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('tEXt', text),
+        chunk('IEND', Buffer.alloc(0))
+    ]));
+}
+
+test('保存为空的后续历史指令后使用全局默认值，而不是旧版 jailbreak', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tavern-link-test-'));
+    try {
+        fs.mkdirSync(path.join(dataDir, 'characters'));
+        writeCharacterPng(path.join(dataDir, 'characters', 'Alice.png'), {
+            name: 'Alice',
+            jailbreak: '旧版指令',
+            data: { name: 'Alice', post_history_instructions: '', extensions: { jailbreak: '旧版指令' } }
+        });
+
+        const characterManager = new CharacterManager(dataDir);
+        characterManager.updateCharacter('Alice', { post_history_instructions: '' });
+        const character = characterManager.readFromPng('Alice');
+        assert.equal(character.jailbreak, undefined);
+        assert.equal(character.data.extensions.jailbreak, undefined);
+
+        const config = { ai: {}, prompt: { postHistoryInstructions: '全局默认指令' } };
+        const builder = new PromptBuilder(characterManager, new WorldBookManager(dataDir), config,
+            new PresetManager(dataDir, config), new MacroEngine());
+        const { messages } = await builder.build('Alice', '你好');
+        const text = messages.map(m => m.content).join('\n');
+        assert.match(text, /全局默认指令/);
+        assert.doesNotMatch(text, /旧版指令/);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,69 @@
+/**
+ * POST /api/config 按字段合并配置段：面板只提交部分 chat 字段时，其他字段保持不变
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { setupRoutes } from '../src/routes.js';
+
+test('只提交部分 chat 字段时保留其他 chat 配置', async () => {
+    const config = {
+        ai: { provider: 'openai', apiKey: 'secret', chain: ['a'] },
+        chat: {
+            triggerPrefix: '',
+            adminUsers: [10000],
+            groupSessionMode: 'shared',
+            replyTimeout: 120000,
+            errorReplies: { timeout: '超时了' },
+            historyImageLimit: 3,
+            maxImageSize: 1024,
+            tokenizer: 'simple'
+        }
+    };
+    let saved = null;
+    const logger = { info() {}, warn() {}, error() {} };
+
+    const app = express();
+    app.use(express.json());
+    setupRoutes(app, {
+        config,
+        saveConfig: (c) => { saved = structuredClone(c); },
+        aiClient: { updateConfig() {} },
+        logger
+    });
+
+    const server = app.listen(0);
+    try {
+        const { port } = server.address();
+        const res = await fetch(`http://127.0.0.1:${port}/api/config`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ai: { model: 'gpt', apiKey: '******' },
+                chat: { triggerPrefix: '!', historyLimit: 30, allowedGroups: [], splitMessage: true, defaultCharacter: 'Alice' }
+            })
+        });
+        assert.equal((await res.json()).success, true);
+    } finally {
+        server.close();
+    }
+
+    assert.deepEqual(config.chat, {
+        triggerPrefix: '!',
+        historyLimit: 30,
+        allowedGroups: [],
+        splitMessage: true,
+        defaultCharacter: 'Alice',
+        adminUsers: [10000],
+        groupSessionMode: 'shared',
+        replyTimeout: 120000,
+        errorReplies: { timeout: '超时了' },
+        historyImageLimit: 3,
+        maxImageSize: 1024,
+        tokenizer: 'simple'
+    });
+    assert.equal(config.ai.apiKey, 'secret');
+    assert.deepEqual(config.ai.chain, ['a']);
+    assert.deepEqual(saved.chat, config.chat);
+});
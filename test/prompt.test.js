@@ -0,0 +1,34 @@
+/**
+ * Prompt 组装的 token 预算
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PromptBuilder } from '../src/prompt.js';
+import { PresetManager } from '../src/preset.js';
+import { MacroEngine } from '../src/macro.js';
+import { WorldBookManager } from '../src/worldbook.js';
+
+test('对话示例超出预算时按段丢弃，不挤掉历史消息', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tavern-link-test-'));
+    try {
+        const example = `<START>\n{{user}}: ${'问'.repeat(200)}\n{{char}}: ${'答'.repeat(200)}\n`;
+        const character = { name: 'Alice', description: '', mes_example: example.repeat(10), data: {} };
+        const characterManager = { readFromPng: () => character };
+        const config = { ai: { contextSize: 2000, maxTokens: 0 }, prompt: { dropExamples: false } };
+        const builder = new PromptBuilder(characterManager, new WorldBookManager(dataDir), config,
+            new PresetManager(dataDir, config), new MacroEngine());
+
+        const history = Array.from({ length: 4 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `第${i}条` }));
+        const { tokenUsage } = await builder.build('Alice', '你好', history);
+        assert.ok(tokenUsage.examples > 0);
+        assert.ok(tokenUsage.droppedExamples > 0);
+        assert.equal(tokenUsage.droppedHistory, 0);
+        assert.ok(tokenUsage.total <= tokenUsage.budget);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,112 @@
+/**
+ * 世界书条目的选取：关键词匹配、扫描深度、递归激活、触发概率和包含组
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import { WorldBookManager } from '../src/worldbook.js';
+
+const manager = new WorldBookManager(os.tmpdir());
+
+// 返回触发的条目键（uid）
+function match(entries, scanMessages, stickyKeys = new Set(), options = {}) {
+    return manager.matchEntries({ entries }, scanMessages, Infinity, stickyKeys, options).map(e => e.key);
+}
+
+test('正则、区分大小写和全词匹配的关键词', () => {
+    const entries = [
+        { uid: 1, key: ['/dr(a|e)gon/i'], content: '' },
+        { uid: 2, key: ['AI'], matchWholeWords: true, content: '' },
+        { uid: 3, key: ['Bob'], caseSensitive: true, content: '' },
+        { uid: 4, key: ['/a(/'], content: '' }
+    ];
+    assert.deepEqual(match(entries, 'DREGON 和 AI助手'), [1, 2]);
+    assert.deepEqual(match(entries, 'MAIL 和 bob'), []);
+    assert.deepEqual(match(entries, 'Bob'), [3]);
+});
+
+test('次要关键词按 selectiveLogic 判断', () => {
+    const entry = (uid, selectiveLogic) => ({ uid, key: ['猫'], keysecondary: ['黑', '白'], selectiveLogic, content: '' });
+    const entries = [entry(1, 0), entry(2, 1), entry(3, 2), entry(4, 3)];
+    assert.deepEqual(match(entries, '黑猫'), [1, 2]);
+    assert.deepEqual(match(entries, '黑白猫'), [1, 4]);
+    assert.deepEqual(match(entries, '猫'), [2, 3]);
+});
+
+test('只扫描最近 scanDepth 条消息，条目的 scanDepth 优先', () => {
+    const messages = [
+        { role: 'user', text: '你好' },
+        { role: 'assistant', text: '龙' },
+        { role: 'user', text: '城堡' }
+    ];
+    const entries = [
+        { uid: 1, key: ['龙'], content: '' },
+        { uid: 2, key: ['城堡'], content: '' },
+        { uid: 3, key: ['城堡'], scanDepth: 3, content: '' }
+    ];
+    assert.deepEqual(match(entries, messages, new Set(), { scanDepth: 2 }), [1, 3]);
+    assert.deepEqual(match(entries, messages, new Set(), { scanDepth: 3 }), [1, 2, 3]);
+    assert.deepEqual(match(entries, messages, new Set(), { scanDepth: 2, includeAssistant: false }), [3]);
+});
+
+test('递归激活遵守 excludeRecursion、preventRecursion 和递归层数', () => {
+    const chain = (overrides = {}) => [
+        { uid: 1, key: ['甲'], content: '提到乙', ...overrides[1] },
+        { uid: 2, key: ['乙'], content: '提到丙', ...overrides[2] },
+        { uid: 3, key: ['丙'], content: '', ...overrides[3] }
+    ];
+    assert.deepEqual(match(chain(), '甲'), [1, 2, 3]);
+    assert.deepEqual(match(chain(), '甲', new Set(), { maxRecursionSteps: 1 }), [1, 2]);
+    assert.deepEqual(match(chain(), '甲', new Set(), { recursive: false }), [1]);
+    assert.deepEqual(match(chain({ 2: { excludeRecursion: true } }), '甲'), [1]);
+    assert.deepEqual(match(chain({ 2: { preventRecursion: true } }), '甲'), [1, 2]);
+
+    const [, second, third] = manager.matchEntries({ entries: chain() }, '甲');
+    assert.equal(second.recursionStep, 1);
+    assert.equal(third.recursionStep, 2);
+});
+
+test('触发概率：粘性期内的条目不掷骰', () => {
+    const entries = [
+        { uid: 1, key: ['龙'], probability: 0, content: '' },
+        { uid: 2, key: ['龙'], probability: 0, useProbability: false, content: '' },
+        { uid: 3, key: ['龙'], probability: 100, content: '' }
+    ];
+    assert.deepEqual(match(entries, '龙'), [2, 3]);
+    assert.deepEqual(match(entries, '龙', new Set([1])), [1, 2, 3]);
+});
+
+test('包含组中只保留一个条目', (t) => {
+    const member = (uid, extra = {}) => ({ uid, key: ['龙'], group: '天气', content: '', ...extra });
+
+    // groupOverride 的条目中 order 最高的胜出，粘性期内的条目优先
+    const overrides = [member(1), member(2, { groupOverride: true, order: 5 }), member(3, { groupOverride: true, order: 10 })];
+    assert.deepEqual(match(overrides, '龙'), [3]);
+    assert.deepEqual(match(overrides, '龙', new Set([1])), [1]);
+
+    // 否则按 groupWeight 加权随机：0.5 × (100 + 300) = 200 落在第二个条目
+    t.mock.method(Math, 'random', () => 0.5);
+    assert.deepEqual(match([member(1, { groupWeight: 100 }), member(2, { groupWeight: 300 })], '龙'), [2]);
+
+    // 不属于包含组的条目不受影响，一个条目可以属于多个组
+    assert.deepEqual(match([member(1, { group: '天气, 地点', groupOverride: true }), member(2, { group: '地点' }), member(3, { group: '' })], '龙'), [1, 3]);
+});
+
+test('包含组已在之前的递归层选出条目时，本层的组员落选', () => {
+    const entries = [
+        { uid: 1, key: ['龙'], group: '天气', content: '下雨' },
+        { uid: 2, key: ['下雨'], group: '天气', content: '' },
+        { uid: 3, key: ['下雨'], content: '' }
+    ];
+    assert.deepEqual(match(entries, '龙'), [1, 3]);
+});
+
+test('常驻条目始终触发，禁用的条目不触发', () => {
+    const entries = [
+        { uid: 1, key: [], constant: true, content: '' },
+        { uid: 2, key: ['龙'], disable: true, content: '' },
+        { uid: 3, key: ['龙'], enabled: false, content: '' }
+    ];
+    assert.deepEqual(match(entries, '龙'), [1]);
+});